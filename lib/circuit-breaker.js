@@ -0,0 +1,280 @@
+'use strict';
+
+const arrify = require('arrify');
+
+/**
+ * Circuit breaker of the Redis store.
+ * After "failureThreshold" consecutive failures (errors or responses slower than "slowThreshold" ms)
+ * the circuit opens: Redis is skipped for the "cooldown" period (ms). The circuit is then "half-open":
+ * a single call ("probe") is sent to Redis, the others still skip it. If the probe succeeds the circuit closes,
+ * if it fails (or does not respond within "slowThreshold" ms) the circuit opens again.
+ *
+ * The keys written or deleted, and the Sets cleared, while Redis is skipped are kept to be deleted
+ * from Redis ("onRecover") before the circuit closes, otherwise Redis would serve their previous value.
+ * When there are some, their deletion is the probe. Past "maxSkippedWrites" they are dropped ("onOverflow"):
+ * the cache must then make the previous Redis values unreachable another way.
+ */
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'halfOpen',
+};
+
+const DEFAULT_OPTIONS = {
+    failureThreshold: 5,
+    slowThreshold: 1000, // 1 second
+    cooldown: 30 * 1000, // 30 seconds
+    maxSkippedWrites: 10000,
+};
+
+const STORE_METHODS = ['get', 'mget', 'set', 'mset', 'del'];
+
+/**
+ * Number of keys passed to a "mget" call (as arguments or as an Array)
+ */
+const countKeys = args =>
+    args.reduce((count, arg) => {
+        if (Array.isArray(arg)) {
+            return count + arg.length;
+        }
+        return typeof arg === 'string' ? count + 1 : count;
+    }, 0);
+
+/**
+ * Keys written or deleted by a store method call (without its callback)
+ */
+const writtenKeys = {
+    set: args => [args[0]],
+    mset: args => args.filter((arg, i) => i % 2 === 0 && i < args.length - 1),
+    del: args => arrify(args[0]),
+};
+
+/**
+ * @param {boolean|Object} config "true" or an object to override the default options
+ * @param {Function} onStateChange Handler called with { state, previousState } when the state changes
+ * @param {Function} onRecover (optional) Handler called with the { keys, sets } skipped before closing the circuit.
+ * It must return a Promise, the circuit opens again if it rejects or does not resolve within "slowThreshold" ms.
+ * @param {Function} onOverflow (optional) Handler called when more than "maxSkippedWrites" keys and Sets
+ * are skipped: they are dropped and won't be passed to "onRecover".
+ */
+module.exports = (config, onStateChange, onRecover, onOverflow) => {
+    const options = Object.assign({}, DEFAULT_OPTIONS, config === true ? {} : config);
+
+    let state = STATES.CLOSED;
+    let failures = 0;
+    let openedAt;
+    let probeStartedAt;
+    let recovery; // The writes being deleted from Redis
+
+    const skipped = { keys: new Set(), sets: new Set() };
+
+    const setState = newState => {
+        if (newState === state) {
+            return;
+        }
+        const previousState = state;
+        state = newState;
+        onStateChange({ state, previousState });
+    };
+
+    const open = () => {
+        openedAt = Date.now();
+        failures = 0;
+        probeStartedAt = undefined;
+        setState(STATES.OPEN);
+    };
+
+    const close = () => {
+        failures = 0;
+        probeStartedAt = undefined;
+        setState(STATES.CLOSED);
+    };
+
+    /**
+     * Keep the keys written or deleted, and the Sets cleared, while Redis is skipped
+     * @param {Object} writes The cache "keys" and the "sets" keys
+     */
+    const skip = ({ keys = [], sets = [] }) => {
+        if (!onRecover) {
+            return;
+        }
+        keys.forEach(key => skipped.keys.add(key));
+        sets.forEach(setKey => skipped.sets.add(setKey));
+
+        if (skipped.keys.size + skipped.sets.size > options.maxSkippedWrites) {
+            skipped.keys.clear();
+            skipped.sets.clear();
+            if (onOverflow) {
+                onOverflow();
+            }
+        }
+    };
+
+    const hasSkippedWrites = () => skipped.keys.size > 0 || skipped.sets.size > 0;
+
+    /**
+     * The recovery failed (or timed out): its writes are kept for the next one
+     */
+    const failRecovery = () => {
+        const { writes } = recovery;
+        recovery = undefined;
+        skip(writes);
+        open();
+    };
+
+    /**
+     * Delete from Redis what was skipped while the circuit was open, then close the circuit.
+     * The calls to Redis are still skipped during the recovery (and their writes are deleted as well).
+     */
+    const recover = () => {
+        const current = { writes: { keys: Array.from(skipped.keys), sets: Array.from(skipped.sets) } };
+        skipped.keys.clear();
+        skipped.sets.clear();
+
+        recovery = current;
+        probeStartedAt = Date.now();
+        Promise.resolve()
+            .then(() => onRecover(current.writes))
+            .then(
+                () => {
+                    if (recovery !== current) {
+                        // Late response of a recovery that timed out
+                        return;
+                    }
+                    recovery = undefined;
+                    if (hasSkippedWrites()) {
+                        recover();
+                        return;
+                    }
+                    close();
+                },
+                () => {
+                    if (recovery === current) {
+                        failRecovery();
+                    }
+                }
+            );
+    };
+
+    /**
+     * Check if the circuit is open. Once the cooldown is over, the circuit becomes half-open.
+     * A probe (or a recovery) that does not respond within "slowThreshold" ms opens the circuit again.
+     */
+    const isOpen = () => {
+        if (state === STATES.OPEN && Date.now() - openedAt >= options.cooldown) {
+            setState(STATES.HALF_OPEN);
+            if (hasSkippedWrites()) {
+                recover();
+            }
+        }
+        if (
+            state === STATES.HALF_OPEN &&
+            typeof probeStartedAt !== 'undefined' &&
+            Date.now() - probeStartedAt >= options.slowThreshold
+        ) {
+            if (recovery) {
+                failRecovery();
+            } else {
+                open();
+            }
+        }
+        return state === STATES.OPEN;
+    };
+
+    /**
+     * Check if a call can be sent to Redis. When the circuit is half-open,
+     * only the first call is allowed (the "probe") until its response is recorded.
+     */
+    const allowRequest = () => {
+        if (isOpen()) {
+            return false;
+        }
+        if (state === STATES.HALF_OPEN) {
+            if (typeof probeStartedAt !== 'undefined') {
+                return false;
+            }
+            probeStartedAt = Date.now();
+        }
+        return true;
+    };
+
+    const failure = () => {
+        if (state === STATES.OPEN || recovery) {
+            // Late response of a call made before the circuit opened, or error during the recovery
+            return;
+        }
+        if (state === STATES.HALF_OPEN) {
+            open();
+            return;
+        }
+        failures += 1;
+        if (failures >= options.failureThreshold) {
+            open();
+        }
+    };
+
+    const success = () => {
+        if (state === STATES.OPEN || recovery) {
+            return;
+        }
+        if (state === STATES.HALF_OPEN) {
+            close();
+            return;
+        }
+        failures = 0;
+    };
+
+    /**
+     * Record the duration (ms) of a successful call: the slow responses count as failures
+     */
+    const record = duration => (duration >= options.slowThreshold ? failure() : success());
+
+    /**
+     * Wrap the methods of a store (callback or Promise) to record their response time
+     * and to skip them while the circuit is open: the reads return no value and the writes do nothing
+     * (their keys are kept to be deleted from Redis once it recovers).
+     * The errors are not recorded here, they must be passed to "failure()".
+     * @param {Object} target The store (or the cache-manager instance of the store)
+     */
+    const protect = target => {
+        STORE_METHODS.filter(method => typeof target[method] === 'function').forEach(method => {
+            const fn = target[method];
+
+            // eslint-disable-next-line no-param-reassign
+            target[method] = function circuitBreakerWrapper(...args) {
+                const cb = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+
+                if (!allowRequest()) {
+                    if (writtenKeys[method]) {
+                        skip({ keys: writtenKeys[method](args) });
+                    }
+                    const result = method === 'mget' ? new Array(countKeys(args)).fill(undefined) : undefined;
+                    return cb ? cb(null, result) : Promise.resolve(result);
+                }
+
+                const start = Date.now();
+                if (cb) {
+                    return fn.call(this, ...args, (err, result) => {
+                        if (!err) {
+                            record(Date.now() - start);
+                        }
+                        return cb(err, result);
+                    });
+                }
+                return fn.apply(this, args).then(result => {
+                    record(Date.now() - start);
+                    return result;
+                });
+            };
+        });
+    };
+
+    return {
+        allowRequest,
+        failure,
+        record,
+        skip,
+        protect,
+        getState: () => state,
+    };
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * Compression of the values saved in the cache.
+ * The values (once serialized) larger than a threshold are converted to JSON, compressed
+ * and saved as a base64 string in an object marking the algorithm used:
+ * ex: { __gcCompressed__: 'gzip', value: 'H4sIAAAAAAAAA...' }
+ * so they can be saved in any store (Redis JSON-stringifies the values).
+ */
+const MARKER = '__gcCompressed__';
+
+const DEFAULT_THRESHOLD = 1024; // bytes
+
+const ALGORITHMS = {
+    gzip: {
+        compress: buffer => zlib.gzipSync(buffer),
+        decompress: buffer => zlib.gunzipSync(buffer),
+    },
+    brotli: {
+        compress: buffer => zlib.brotliCompressSync(buffer),
+        decompress: buffer => zlib.brotliDecompressSync(buffer),
+        // zlib only has brotli from Node.js 11.7
+        isSupported: () => typeof zlib.brotliCompressSync === 'function',
+    },
+};
+
+/**
+ * Get an algorithm, throwing if it is unknown or not supported by the Node.js version
+ */
+const getAlgorithm = name => {
+    const algorithm = ALGORITHMS[name];
+
+    if (!algorithm) {
+        throw new Error(`Unknown compression algorithm "${name}".`);
+    }
+    if (algorithm.isSupported && !algorithm.isSupported()) {
+        throw new Error(`The compression algorithm "${name}" is not supported by Node.js ${process.version}.`);
+    }
+    return algorithm;
+};
+
+/**
+ * Get the compression options from the config of a type ("keys" or "queries").
+ * The config can be "true" (gzip with the default threshold) or an object
+ * ex: { algorithm: 'brotli', threshold: 2048 }
+ * Returns "undefined" if the compression is disabled.
+ */
+const getOptions = config => {
+    if (!config) {
+        return undefined;
+    }
+
+    const options = Object.assign({ algorithm: 'gzip', threshold: DEFAULT_THRESHOLD }, config === true ? {} : config);
+
+    getAlgorithm(options.algorithm);
+    return options;
+};
+
+/**
+ * Check the compression config of the keys and the queries.
+ * Throws if an algorithm is unknown or not supported by the Node.js version.
+ */
+const checkConfig = (config = {}) => {
+    getOptions(config.keys);
+    getOptions(config.queries);
+};
+
+const isCompressed = value =>
+    value !== null && typeof value === 'object' && typeof value[MARKER] === 'string' && 'value' in value;
+
+/**
+ * Compress a value if the compression is enabled and its JSON size reaches the threshold.
+ * Otherwise the value is returned untouched.
+ * @param {*} value The value to compress (must be JSON compatible)
+ * @param {boolean|Object} config The compression config of the type of the value
+ */
+const compress = (value, config) => {
+    const options = getOptions(config);
+
+    if (!options || typeof value === 'undefined') {
+        return value;
+    }
+
+    const json = JSON.stringify(value);
+
+    if (Buffer.byteLength(json) < options.threshold) {
+        return value;
+    }
+
+    const compressed = ALGORITHMS[options.algorithm].compress(Buffer.from(json));
+    return { [MARKER]: options.algorithm, value: compressed.toString('base64') };
+};
+
+/**
+ * Decompress a value read from the cache.
+ * The values that were not compressed are returned untouched.
+ */
+const decompress = value => {
+    if (!isCompressed(value)) {
+        return value;
+    }
+
+    const algorithm = getAlgorithm(value[MARKER]);
+
+    return JSON.parse(algorithm.decompress(Buffer.from(value.value, 'base64')).toString());
+};
+
+module.exports = {
+    checkConfig,
+    compress,
+    decompress,
+    isCompressed,
+};
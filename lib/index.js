@@ -7,7 +7,14 @@ const extend = require('extend');
 
 const gstoreCacheKeys = require('./keys');
 const gstoreCacheQueries = require('./queries');
+const gstoreCacheMetrics = require('./metrics');
 const utils = require('./utils');
+const serializer = require('./serializer');
+const gstoreCacheStats = require('./stats');
+const gstoreCacheTracing = require('./tracing');
+const gstoreCacheSets = require('./sets');
+const createCircuitBreaker = require('./circuit-breaker');
+const compression = require('./compression');
 
 const defaultConfig = {
     stores: [
@@ -19,21 +26,42 @@ const defaultConfig = {
     ttl: {
         keys: 60 * 10, // 10 minutes
         queries: 5, // 5 seconds
+        notFound: 60, // 1 minute
         stores: {
             memory: {
                 keys: 60 * 5, // 5 minutes
                 queries: 5,
+                notFound: 60,
             },
             redis: {
                 keys: 60 * 60 * 24, // 1 day
                 queries: 0, // infinite
+                notFound: 60 * 5, // 5 minutes
             },
         },
+        kinds: {}, // ttl of Entity Kinds, ex: { Session: { keys: 30, queries: 5 } }
+        jitter: 0, // max seconds (or percentage of the ttl, ex: '10%') randomly added to the ttl
     },
     cachePrefix: {
         keys: 'gck:', // Gstore Cache Key
         queries: 'gcq:', // Gstore Cache Query
     },
+    staleWhileRevalidate: 0, // disabled
+    slidingExpiration: false, // extend the ttl of the keys and queries on each read
+    earlyRefresh: false, // or true, or the "beta" (> 1 to refresh earlier)
+    negativeCache: false,
+    failOpen: false, // serve the read() calls from the fetchHandler when a cache store fails
+    circuitBreaker: false, // or true, or { failureThreshold: 5, slowThreshold: 1000, cooldown: 30000 }
+    invalidateQueriesOnWrite: false,
+    keyEncoding: 'legacy', // or 'safe'
+    version: 0,
+    kindVersions: {},
+    serializer, // type-preserving serializer of the values saved in the cache
+    compression: {
+        keys: false, // or true (gzip) or { algorithm: 'gzip' | 'brotli', threshold: 1024 }
+        queries: false,
+    },
+    tracer: undefined, // OpenTelemetry Tracer to trace the cache operations
 };
 
 /**
@@ -58,7 +86,12 @@ class GstoreCache extends EventEmitter {
         this._config = Object.assign({}, defaultConfig);
         this._cacheManager = undefined;
         this._redisClient = undefined;
+        this._circuitBreaker = undefined;
+        this._deletions = 0;
         this._ds = undefined;
+        this._statsCollector = gstoreCacheStats();
+        this._tracing = gstoreCacheTracing(this);
+        this._sets = gstoreCacheSets(this);
     }
 
     init(_config) {
@@ -69,19 +102,32 @@ class GstoreCache extends EventEmitter {
             return;
         }
 
-        this._ds = (_config && _config.datastore) || this._ds;
-
         const config = _config && _config.config;
 
+        // An invalid compression config throws here rather than on the first write
+        if (config && config.compression) {
+            compression.checkConfig(config.compression);
+        }
+
+        this._ds = (_config && _config.datastore) || this._ds;
+
         /**
          * Forward methods to cacheManager
+         * (wrapped in spans if there is a tracer in the config)
          */
         const bindCacheManagerMethods = () => {
-            this.get = this.cacheManager.get;
-            this.mget = this.cacheManager.mget;
-            this.set = this.cacheManager.set;
-            this.mset = this.cacheManager.mset;
-            this.del = this.cacheManager.del;
+            const bind = method => {
+                if (this._config.tracer) {
+                    return this._tracing.wrap(method, this.cacheManager[method]);
+                }
+                return this.cacheManager[method];
+            };
+
+            this.get = bind('get');
+            this.mget = bind('mget');
+            this.set = bind('set');
+            this.mset = bind('mset');
+            this.del = bind('del');
             this.reset = this.cacheManager.reset;
         };
 
@@ -93,8 +139,23 @@ class GstoreCache extends EventEmitter {
                 this._config = Object.assign({}, defaultConfig, config);
                 extend(true, this._config.ttl, defaultConfig.ttl, ttlConfig);
             }
+            this._circuitBreaker = undefined;
+            if (this._config.circuitBreaker) {
+                const onStateChange = payload =>
+                    this.emit('circuitStateChange', Object.assign({ store: 'redis' }, payload));
+                // Too many writes skipped to delete them all from Redis: the keys of the previous version
+                // are unreachable instead (on this instance)
+                this._circuitBreaker = createCircuitBreaker(
+                    this._config.circuitBreaker,
+                    onStateChange,
+                    writes => this.recoverRedis(writes),
+                    () => this.bumpVersion()
+                );
+            }
+
             if (this._config.stores.length > 1) {
                 this._config.stores = this._config.stores.map(store => nodeCacheManager.caching(store));
+                this._config.stores.forEach(cache => this.watchStore(cache.store, cache.store.name));
                 this._cacheManager = nodeCacheManager.multiCaching(this._config.stores);
                 this._config.stores.forEach(cache => {
                     self._redisClient = self._redisClient || checkRedis(cache);
@@ -109,6 +170,7 @@ class GstoreCache extends EventEmitter {
                 }
             } else {
                 this._cacheManager = nodeCacheManager.caching(this._config.stores[0]);
+                this.watchStore(this._cacheManager, this._cacheManager.store.name);
                 this._redisClient = this._redisClient || checkRedis(this._cacheManager);
             }
 
@@ -158,6 +220,210 @@ class GstoreCache extends EventEmitter {
             .then(response => (response && response.length === 1 ? response[0] : response));
     }
 
+    /**
+     * Extend the ttl of keys read from the cache ("sliding expiration").
+     * The Redis keys are updated with "EXPIRE". The other stores don't have a way
+     * to only update the ttl of a key, so their current value is saved again (see "touchStores()").
+     * @param {Array<string>} keys The cache keys
+     * @param {Object} options The ttl of the keys
+     */
+    touch(keys, options = {}) {
+        if (keys.length === 0) {
+            return Promise.resolve();
+        }
+
+        if (!this._redisClient) {
+            return this.touchStores(this._cacheManager, keys, options.ttl);
+        }
+
+        const cacheHandlers = [];
+        const redisTTL = typeof options.ttl === 'function' ? options.ttl(null, 'redis') : options.ttl;
+
+        // An "EXPIRE" with a ttl of 0 would delete the keys.
+        // (While the circuit breaker is open the Redis keys are not touched, they will only expire earlier)
+        const redisClient = redisTTL ? this.activeRedisClient : undefined;
+        if (redisClient) {
+            const start = Date.now();
+            cacheHandlers.push(
+                new Promise((resolve, reject) => {
+                    redisClient.multi(keys.map(key => ['expire', key, redisTTL])).exec((err, response) => {
+                        if (err) {
+                            this.onStoreError(err, 'redis');
+                            return reject(err);
+                        }
+                        this.onStoreResponse('redis', Date.now() - start);
+                        return resolve(response);
+                    });
+                })
+            );
+        }
+
+        if (this._cacheManagerNoRedis) {
+            cacheHandlers.push(this.touchStores(this._cacheManagerNoRedis, keys, options.ttl));
+        }
+
+        return Promise.all(cacheHandlers);
+    }
+
+    /**
+     * Extend the ttl of the keys of stores without "EXPIRE" by saving again their current value.
+     * Only the keys still in the stores are saved, and none of them if a key was deleted
+     * meanwhile (ex: a query invalidated), so a deleted key is never put back in the cache.
+     */
+    touchStores(cacheManager, keys, ttl) {
+        const deletions = this._deletions;
+
+        return cacheManager.mget(...keys).then(_values => {
+            const values = arrify(_values);
+            const indexes = keys.map((key, i) => i).filter(i => typeof values[i] !== 'undefined' && values[i] !== null);
+
+            if (this._deletions !== deletions || indexes.length === 0) {
+                // The keys will only expire earlier
+                return undefined;
+            }
+            return this.primeCache(indexes.map(i => keys[i]), indexes.map(i => values[i]), { ttl, cacheManager });
+        });
+    }
+
+    /**
+     * Increment the global version of the cache, or the version of an Entity Kind.
+     * All the keys and queries saved with the previous version are then unreachable.
+     * The version is only incremented on this instance, to roll over the cache of all
+     * the instances of an application, change the "version" (or "kindVersions") in the config.
+     * @param {string} kind (optional) The Entity Kind
+     * @returns {number} The new version
+     */
+    bumpVersion(kind) {
+        if (kind) {
+            const version = (this._config.kindVersions[kind] || 0) + 1;
+            // We don't mutate the kindVersions object as it can be shared with the default config
+            this._config.kindVersions = Object.assign({}, this._config.kindVersions, { [kind]: version });
+            return version;
+        }
+
+        this._config.version = (this._config.version || 0) + 1;
+        return this._config.version;
+    }
+
+    /**
+     * Count the hits, misses, errors and deletions of a store
+     * (and put the Redis store behind the circuit breaker if it is enabled)
+     */
+    watchStore(target, storeName) {
+        if (storeName === 'redis' && this._circuitBreaker) {
+            this._circuitBreaker.protect(target);
+        }
+        this._statsCollector.watchStore(target, storeName, error => this.onStoreError(error, storeName));
+
+        // Count the deletions of the keys (see "touchStores()")
+        const self = this;
+        ['del', 'reset'].filter(method => typeof target[method] === 'function').forEach(method => {
+            const fn = target[method];
+
+            // eslint-disable-next-line no-param-reassign
+            target[method] = function countDeletions(...args) {
+                self._deletions += 1;
+                return fn.apply(this, args);
+            };
+        });
+    }
+
+    /**
+     * Count an error of the keys or the queries and emit an "error" event.
+     * The event is only emitted if there are listeners, as an "error" event without listener throws.
+     * @param {Error} error The error
+     * @param {string} type "keys" or "queries"
+     * @param {Array<string>} kinds The Entity Kinds concerned
+     */
+    onError(error, type, kinds) {
+        this._statsCollector.error(type, kinds);
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error, { type, kinds });
+        }
+    }
+
+    /**
+     * Count an error of a store (ex: a Redis command) and emit a "storeError" event.
+     * In "failOpen" mode this event is the only report of the store errors:
+     * the read() calls then fetch the data as if it was not in the cache.
+     */
+    onStoreError(error, storeName) {
+        if (storeName === 'redis' && this._circuitBreaker) {
+            this._circuitBreaker.failure();
+        }
+        this._statsCollector.storeError(storeName);
+        this.emit('storeError', error, { store: storeName });
+    }
+
+    /**
+     * Record the response time (ms) of a successful call to a store made outside the cache-manager
+     * (ex: a Redis "multi") for the circuit breaker
+     */
+    onStoreResponse(storeName, duration) {
+        if (storeName === 'redis' && this._circuitBreaker) {
+            this._circuitBreaker.record(duration);
+        }
+    }
+
+    /**
+     * Keep the cache keys written and the Sets cleared while Redis is skipped by the circuit breaker
+     * to delete them from Redis once it recovers.
+     * @param {Object} writes The cache "keys" and the "sets" keys
+     */
+    skipRedis(writes) {
+        if (this._circuitBreaker) {
+            this._circuitBreaker.skip(writes);
+        }
+    }
+
+    /**
+     * Delete from Redis the keys written and the Sets cleared while it was skipped by the circuit breaker,
+     * so it doesn't serve their previous value once the circuit closes.
+     */
+    recoverRedis({ keys, sets }) {
+        const redisClient = this._redisClient;
+        const handlers = [];
+
+        if (keys.length > 0) {
+            handlers.push(
+                new Promise((resolve, reject) => {
+                    redisClient.del(keys, err => {
+                        if (err) {
+                            this.onStoreError(err, 'redis');
+                            return reject(err);
+                        }
+                        return resolve();
+                    });
+                })
+            );
+        }
+        if (sets.length > 0) {
+            handlers.push(this._sets.clear(sets, redisClient));
+        }
+
+        return Promise.all(handlers);
+    }
+
+    /**
+     * Get the statistics of the cache since its creation (or the last "resetStats()"):
+     * hits, misses, partial hits, fetches and their latency, errors and invalidations,
+     * of the keys and the queries (and for each Entity Kind), and the hits and misses of each store.
+     */
+    stats() {
+        return this._statsCollector.get();
+    }
+
+    resetStats() {
+        this._statsCollector.reset();
+    }
+
+    /**
+     * Remove all the keys and queries in cache of a namespace
+     */
+    clearNamespace(namespace) {
+        return Promise.all([this.keys.clearNamespace(namespace), this.queries.clearNamespace(namespace)]);
+    }
+
     deleteCacheManager(cb) {
         const self = this;
         if (this._cacheManager) {
@@ -189,6 +455,19 @@ class GstoreCache extends EventEmitter {
         return this._redisClient;
     }
 
+    /**
+     * The Redis client, or "undefined" while the circuit breaker of Redis is open
+     * (the queries and their Sets are then only saved in the other stores).
+     * When the circuit is half-open, only the first caller gets the client (the probe),
+     * it must then make a Redis call and record its response.
+     */
+    get activeRedisClient() {
+        if (this._circuitBreaker && !this._circuitBreaker.allowRequest()) {
+            return undefined;
+        }
+        return this._redisClient;
+    }
+
     get cacheManager() {
         return this._cacheManager;
     }
@@ -200,6 +479,21 @@ class GstoreCache extends EventEmitter {
     get ds() {
         return this._ds;
     }
+
+    /**
+     * Names of the cache stores (ex: ["memory", "redis"])
+     */
+    get storesNames() {
+        if (!this._cacheManager) {
+            return [];
+        }
+        const stores = this._config.stores.length > 1 ? this._config.stores : [this._cacheManager];
+        return stores.map(cache => cache.store.name);
+    }
+
+    get statsCollector() {
+        return this._statsCollector;
+    }
 }
 
 const init = config => {
@@ -208,6 +502,7 @@ const init = config => {
 
         gstoreCacheInstance.keys = gstoreCacheKeys(gstoreCacheInstance);
         gstoreCacheInstance.queries = gstoreCacheQueries(gstoreCacheInstance);
+        gstoreCacheInstance.metrics = gstoreCacheMetrics(gstoreCacheInstance);
         gstoreCacheInstance.utils = utils;
     }
 
@@ -222,4 +517,5 @@ module.exports = {
     init,
     instance,
     utils,
+    serializer,
 };
@@ -3,10 +3,13 @@
 const arrify = require('arrify');
 
 const utils = require('./utils');
+const gstoreCacheSets = require('./sets');
+const gstoreCacheTracing = require('./tracing');
+const { compress, decompress } = require('./compression');
 
 const { dsKeyToString } = utils.datastore;
-const { is } = utils;
-const { getTTL } = utils.ttl;
+const { is, entry } = utils;
+const { getTTL, getMaxTTL, hasKindTTL, extendTTL } = utils.ttl;
 
 /**
  * gstore-node error code when entity is not found.
@@ -14,8 +17,70 @@ const { getTTL } = utils.ttl;
 const ERR_ENTITY_NOT_FOUND = 'ERR_ENTITY_NOT_FOUND';
 
 module.exports = cache => {
-    const addCachePrefixKeys = key => cache.config.cachePrefix.keys + key;
-    const keyToString = key => addCachePrefixKeys(dsKeyToString(key));
+    const addCachePrefixKeys = (key, kind) =>
+        cache.config.cachePrefix.keys + utils.version.prefix(cache.config, kind) + key;
+    const keyToString = key => addCachePrefixKeys(dsKeyToString(key, { encoding: cache.config.keyEncoding }), key.kind);
+
+    const sets = gstoreCacheSets(cache);
+    const tracing = gstoreCacheTracing(cache);
+
+    /**
+     * Serialize (and compress if enabled) the values before saving them in the cache
+     * and decompress and deserialize them when reading the cache.
+     */
+    const serializeValue = value =>
+        compress(cache.config.serializer.serialize(value, cache.ds), cache.config.compression.keys);
+    const serialize = values => values.map(serializeValue);
+    const deserialize = values => values.map(value => cache.config.serializer.deserialize(decompress(value), cache.ds));
+
+    /**
+     * Name of the Set of the keys of a namespace.
+     */
+    const namespaceSetKey = namespace => addCachePrefixKeys(`__namespace__:${namespace}`);
+
+    /**
+     * Ttl (seconds) of the namespace Sets in Redis: the longest ttl of the keys (or keys not found)
+     * of any Entity Kind, so a Set does not expire before the keys added to it.
+     * "0" (no ttl) if some keys never expire.
+     */
+    const namespaceSetTTL = options => {
+        const kinds = [undefined, ...Object.keys(cache.config.ttl.kinds || {})];
+        const ttls = [];
+        [{}, options].forEach(opts =>
+            kinds.forEach(kind =>
+                ['keys', 'notFound'].forEach(type => ttls.push(getMaxTTL(cache, opts, type, kind, 'redis')))
+            )
+        );
+
+        if (ttls.some(ttl => !ttl)) {
+            return 0;
+        }
+        return Math.max(...ttls) + (options.staleWhileRevalidate || 0);
+    };
+
+    /**
+     * Add the keys with a namespace to the Set of their namespace along with the cache operation
+     * (to be able to remove them with "clearNamespace()"), and resolve with the response
+     * of the cache operation once both are done.
+     */
+    const indexNamespaces = (keys, cacheOperation, options = {}) => {
+        const keysByNamespace = {};
+        keys.filter(key => key.namespace).forEach(key => {
+            keysByNamespace[key.namespace] = keysByNamespace[key.namespace] || [];
+            keysByNamespace[key.namespace].push(keyToString(key));
+        });
+        const namespaces = Object.keys(keysByNamespace);
+
+        if (namespaces.length === 0) {
+            return cacheOperation;
+        }
+
+        const ttl = namespaceSetTTL(options);
+        return Promise.all([
+            cacheOperation,
+            ...namespaces.map(namespace => sets.add(namespaceSetKey(namespace), keysByNamespace[namespace], ttl)),
+        ]).then(([response]) => response);
+    };
 
     /**
      * Order a list of entities according to a list of keys.
@@ -35,9 +100,249 @@ module.exports = cache => {
 
     // Add KEY Symbol to cache result
     const addKEYtoEntity = (entities, keys) =>
-        entities.map((entity, i) => Object.assign({}, entity, { [cache.ds.KEY]: keys[i] }));
+        entities.map((entity, i) => (entity === null ? null : Object.assign({}, entity, { [cache.ds.KEY]: keys[i] })));
 
-    const read = (_keys, ...args) => {
+    /**
+     * Get the entity from a cache value.
+     * The keys saved as not found in the Datastore ("negative cache") return "null"
+     */
+    const cacheValueToEntity = value => (entry.isNotFound(value) ? null : entry.value(value));
+
+    /**
+     * Emit an event ("hit", "miss", "set", "del") for each key
+     * @param {Array<Key>} keys The Datastore Keys
+     */
+    const emitKeys = (event, keys) => {
+        if (cache.listenerCount(event) === 0) {
+            return;
+        }
+        keys.forEach(key => cache.emit(event, { type: 'keys', kind: key.kind, key: keyToString(key) }));
+    };
+
+    /**
+     * Group the indexes of a list of keys that are saved with the same ttl:
+     * the keys of the Entity Kinds with their own ttl in the config are grouped by Kind,
+     * and the keys of the other Kinds together.
+     * With a ttl jitter, each key is saved with its own ttl so they don't expire at the same time.
+     * ex: [[0, 2], [1]]
+     */
+    const groupByTTL = keys => {
+        if (cache.config.ttl.jitter) {
+            return keys.map((key, i) => [i]);
+        }
+
+        const groups = keys.reduce((acc, key, i) => {
+            const kind = hasKindTTL(cache, key.kind) ? key.kind : '';
+            acc[kind] = acc[kind] || [];
+            acc[kind].push(i);
+            return acc;
+        }, {});
+        return Object.keys(groups).map(kind => groups[kind]);
+    };
+
+    /**
+     * Prime the cache with entities fetched that have the same ttl.
+     * In "negative cache" mode, the keys not found are saved with a "not found" marker
+     * and their own ttl so we don't fetch them again until it expires.
+     */
+    const primeKeysGroup = (keys, entities, _options, meta) => {
+        const options = Object.assign({}, _options, { ttl: getTTL(cache, _options, 'keys', keys[0].kind) });
+        const stringKeys = keys.map(keyToString);
+
+        if (!options.negativeCache) {
+            const [values, cacheOptions] = entry.prepare(cache, entities, options, meta);
+            return cache.primeCache(stringKeys, serialize(values), cacheOptions).then(response => {
+                emitKeys('set', keys);
+                return response;
+            });
+        }
+
+        const cacheHandlers = [];
+        const keysFound = stringKeys.filter((k, i) => typeof entities[i] !== 'undefined');
+        const keysNotFound = stringKeys.filter((k, i) => typeof entities[i] === 'undefined');
+
+        if (keysFound.length > 0) {
+            const [values, cacheOptions] = entry.prepare(
+                cache,
+                entities.filter(entity => typeof entity !== 'undefined'),
+                options,
+                meta
+            );
+            cacheHandlers.push(cache.primeCache(keysFound, serialize(values), cacheOptions));
+        }
+
+        if (keysNotFound.length > 0) {
+            const values = keysNotFound.map(() => entry.NOT_FOUND);
+            cacheHandlers.push(
+                cache.primeCache(keysNotFound, values, { ttl: getTTL(cache, {}, 'notFound', keys[0].kind) })
+            );
+        }
+
+        return Promise.all(cacheHandlers).then(response => {
+            emitKeys('set', keys);
+            return response;
+        });
+    };
+
+    /**
+     * Prime the cache with the entities fetched.
+     * The entities that don't have the same ttl are saved separately.
+     * @param {Object} meta The metadata of the cache entries (ex: the fetch duration)
+     */
+    const primeKeys = (keys, entities, options, meta) =>
+        Promise.all(
+            groupByTTL(keys).map(indexes =>
+                primeKeysGroup(indexes.map(i => keys[i]), indexes.map(i => entities[i]), options, meta)
+            )
+        );
+
+    /**
+     * Count the hits and misses of the keys read from the cache.
+     * A read is a "partial hit" when the cache returned some of the keys but not all of them.
+     * @param {Array<Key>} keys The Datastore Keys read
+     * @param {Array<*>} entities The entities returned by the cache for those keys
+     */
+    const recordReads = (keys, entities) => {
+        const { statsCollector } = cache;
+        const kinds = keys.map(key => key.kind);
+        const hits = keys.filter((key, i) => typeof entities[i] !== 'undefined');
+        const misses = keys.filter((key, i) => typeof entities[i] === 'undefined');
+
+        hits.forEach(key => statsCollector.hit('keys', [key.kind]));
+        misses.forEach(key => statsCollector.miss('keys', [key.kind]));
+        emitKeys('hit', hits);
+        emitKeys('miss', misses);
+
+        if (hits.length > 0 && misses.length > 0) {
+            statsCollector.partialHit('keys', kinds);
+        }
+    };
+
+    /**
+     * Extend the ttl of the entities read from the cache ("sliding expiration").
+     * The keys saved as not found are not extended.
+     * @param {Array<Key>} keys The Datastore Keys read
+     * @param {Array<*>} values The values returned by the cache for those keys
+     */
+    const touchKeys = (keys, values, options) => {
+        const hits = keys
+            .map((key, i) => ({ key, value: values[i] }))
+            .filter(({ value }) => typeof value !== 'undefined' && value !== null && !entry.isNotFound(value));
+        const hitsKeys = hits.map(hit => hit.key);
+
+        const touchHandlers = Promise.all(
+            groupByTTL(hitsKeys).map(indexes => {
+                const ttl = getTTL(cache, options, 'keys', hitsKeys[indexes[0]].kind);
+                return cache.touch(indexes.map(i => keyToString(hitsKeys[i])), {
+                    ttl: options.staleWhileRevalidate ? extendTTL(ttl, options.staleWhileRevalidate) : ttl,
+                });
+            })
+        );
+
+        // The ttl of the namespace Sets is extended as well so they don't expire before their keys
+        return indexNamespaces(hitsKeys, touchHandlers, options).catch(() => {
+            // The entities are still in the cache, they will only expire earlier.
+        });
+    };
+
+    /**
+     * Keys being fetched, mapped by their cache key.
+     * A key is only passed *once* to the fetchHandler, concurrent reads
+     * of the same key wait on the pending fetch and share its result.
+     */
+    const pendingFetches = {};
+
+    /**
+     * Fetch the keys and prime the cache with the entities returned.
+     * The keys already being fetched (by another read() call) are not fetched again.
+     * Resolves with the entities in the same order as the keys provided.
+     */
+    const fetchKeys = (keys, fetchHandler, options) => {
+        const stringKeys = keys.map(keyToString);
+        const keysToFetch = keys.filter(
+            (key, i) => pendingFetches[stringKeys[i]] === undefined && stringKeys.indexOf(stringKeys[i]) === i
+        );
+
+        if (keysToFetch.length > 0) {
+            const stringKeysToFetch = keysToFetch.map(keyToString);
+            const fetchStart = Date.now();
+            const onFetched = () => {
+                const kinds = keysToFetch.map(key => key.kind);
+                const duration = Date.now() - fetchStart;
+                cache.statsCollector.fetch('keys', kinds, duration);
+                cache.emit('fetch', { type: 'keys', kinds, keys: stringKeysToFetch, duration });
+            };
+            const fetchPromise = fetchHandler(keysToFetch)
+                .then(
+                    result => {
+                        onFetched();
+                        return result;
+                    },
+                    error => {
+                        onFetched();
+                        throw error;
+                    }
+                )
+                .catch(error => {
+                    if (error.code === ERR_ENTITY_NOT_FOUND) {
+                        // gstore.Model returns an error when *one* key is not found:
+                        // the keys of this fetch are not found (and saved as such in "negative cache" mode).
+                        return [[]];
+                    }
+                    throw error;
+                })
+                .then(_fetchResult => {
+                    // We make sure the order of the entities returned by the fetchHandler
+                    // is the same as the order of the keys provided.
+                    const fetchResult = orderEntities(arrify(_fetchResult[0]), keysToFetch);
+                    const meta = { delta: Date.now() - fetchStart };
+
+                    // Prime the cache
+                    return indexNamespaces(
+                        keysToFetch,
+                        primeKeys(keysToFetch, fetchResult, options, meta),
+                        options
+                    ).then(
+                        () => fetchResult,
+                        error => {
+                            if (options.failOpen) {
+                                return fetchResult;
+                            }
+                            throw error;
+                        }
+                    );
+                });
+
+            stringKeysToFetch.forEach((strKey, i) => {
+                const pending = fetchPromise.then(fetchResult => fetchResult[i]);
+                const onDone = () => {
+                    if (pendingFetches[strKey] === pending) {
+                        delete pendingFetches[strKey];
+                    }
+                };
+                pendingFetches[strKey] = pending;
+                pending.then(onDone, onDone);
+            });
+        }
+
+        return Promise.all(stringKeys.map(strKey => pendingFetches[strKey]));
+    };
+
+    /**
+     * Refresh in the background the keys whose cache has expired
+     * but that are still served in "stale-while-revalidate" mode,
+     * or that are about to expire in "earlyRefresh" mode.
+     */
+    const refreshKeys = (keys, fetchHandler, options) =>
+        fetchKeys(keys, fetchHandler, options).then(
+            () => cache.emit('refresh', { type: 'keys', keys }),
+            error => {
+                cache.onError(error, 'keys', keys.map(key => key.kind));
+                cache.emit('refreshError', error, { type: 'keys', keys });
+            }
+        );
+
+    const readKeys = (span, _keys, ...args) => {
         let fetchHandler = args.length > 1 ? args[1] : args[0];
 
         if (typeof fetchHandler !== 'function') {
@@ -47,8 +352,28 @@ module.exports = cache => {
             fetchHandler = keys => cache.ds.get(keys);
         }
 
-        const options = is.object(args[0]) ? args[0] : {};
-        options.ttl = getTTL(cache, options, 'keys');
+        // Copy of the options: the defaults from the config are not written back in the caller's object
+        const options = Object.assign({}, is.object(args[0]) ? args[0] : {});
+
+        if (typeof options.staleWhileRevalidate === 'undefined') {
+            options.staleWhileRevalidate = cache.config.staleWhileRevalidate;
+        }
+
+        if (typeof options.negativeCache === 'undefined') {
+            options.negativeCache = cache.config.negativeCache;
+        }
+
+        if (typeof options.earlyRefresh === 'undefined') {
+            options.earlyRefresh = cache.config.earlyRefresh;
+        }
+
+        if (typeof options.slidingExpiration === 'undefined') {
+            options.slidingExpiration = cache.config.slidingExpiration;
+        }
+
+        if (typeof options.failOpen === 'undefined') {
+            options.failOpen = cache.config.failOpen;
+        }
 
         const keys = arrify(_keys);
         const isMultiple = keys.length > 1;
@@ -59,66 +384,92 @@ module.exports = cache => {
         const stringKeys = keys.map(keyToString);
         const _args = [...stringKeys, options];
 
+        const onError = error => {
+            cache.onError(error, 'keys', keys.map(key => key.kind));
+            throw error;
+        };
+
+        /**
+         * In "failOpen" mode, when the cache store fails the keys are fetched as if they were not in the cache.
+         */
+        const onCacheError = error => {
+            if (!options.failOpen) {
+                throw error;
+            }
+            return isMultiple ? keys.map(() => undefined) : undefined;
+        };
+
         if (isMultiple) {
-            return cache.cacheManager.mget(..._args).then(onResult);
+            return cache.cacheManager
+                .mget(..._args)
+                .catch(onCacheError)
+                .then(onResult)
+                .catch(onError);
         }
 
-        return cache.cacheManager.get(stringKeys[0], options).then(onResult);
+        return cache.cacheManager
+            .get(stringKeys[0], options)
+            .catch(onCacheError)
+            .then(onResult)
+            .catch(onError);
 
         function onResult(_cacheResult) {
-            const cacheResult = arrify(_cacheResult).filter(r => r !== undefined);
+            const cacheValues = isMultiple ? _cacheResult : [_cacheResult];
+            const entries = deserialize(cacheValues);
+
+            if (options.slidingExpiration) {
+                touchKeys(keys, cacheValues, options);
+            }
 
-            if (cacheResult.length === 0) {
+            const keysToRefresh = keys.filter(
+                (key, i) => entry.isStale(entries[i]) || entry.isEarlyRefresh(entries[i], options.earlyRefresh)
+            );
+            const cacheResult = entries.map(cacheValueToEntity);
+            recordReads(keys, cacheResult);
+
+            if (keysToRefresh.length > 0) {
+                refreshKeys(keysToRefresh, fetchHandler, options);
+            }
+
+            const keysNotFound = keys.filter((key, i) => cacheResult[i] === undefined);
+            tracing.setAttributes(span, {
+                hits: keys.length - keysNotFound.length,
+                misses: keysNotFound.length,
+                fetched: keysNotFound.length,
+            });
+
+            if (keysNotFound.length === keys.length) {
                 /**
                  * No cache we need to fetch the keys
                  */
-                return fetchHandler(keys).then(_fetchResult => {
-                    // We make sure the order of the entities returned by the fetchHandler
-                    // is the same as the order of the keys provided.
-                    const fetchResult = orderEntities(arrify(_fetchResult[0]), keys);
-
-                    // Prime the cache
-                    return cache.primeCache(stringKeys, fetchResult, options);
+                return fetchKeys(keys, fetchHandler, options).then(_fetchResult => {
+                    const fetchResult = options.negativeCache
+                        ? _fetchResult.map(entity => (typeof entity === 'undefined' ? null : entity))
+                        : _fetchResult;
+                    return isMultiple ? fetchResult : fetchResult[0];
                 });
             }
 
-            if (cacheResult.length !== keys.length) {
+            if (keysNotFound.length > 0) {
                 /**
                  * The cache returned some entities but not all of them
                  */
                 const cached = {};
-                let strKey;
 
-                const addToCache = entity => {
-                    if (!entity) {
+                cacheResult.forEach((entity, i) => {
+                    if (typeof entity === 'undefined') {
                         return;
                     }
-                    strKey = keyToString(entity[cache.ds.KEY]);
-                    cached[strKey] = entity;
-                };
-
-                cacheResult.forEach(addToCache);
-                const keysNotFound = keys.filter(k => cached[keyToString(k)] === undefined);
-
-                return fetchHandler(keysNotFound)
-                    .then(_fetchResult => {
-                        // Make sure we the fetchResult is in the same order as the keys that we fetched
-                        const fetchResult = orderEntities(arrify(_fetchResult[0]), keysNotFound);
-                        fetchResult.forEach(addToCache);
+                    [cached[stringKeys[i]]] = addKEYtoEntity([entity], [keys[i]]);
+                });
 
-                        /**
-                         * Prime the cache
-                         */
-                        return cache.primeCache(keysNotFound.map(keyToString), fetchResult, options);
+                return fetchKeys(keysNotFound, fetchHandler, options)
+                    .then(fetchResult => {
+                        fetchResult.forEach((entity, i) => {
+                            cached[keyToString(keysNotFound[i])] = entity;
+                        });
                     })
                     .catch(error => {
-                        if (error.code === ERR_ENTITY_NOT_FOUND) {
-                            // When we fetch *one* key and it is not found
-                            // gstore.Model returns an error with 404 code.
-                            strKey = keyToString(keysNotFound[0]);
-                            cached[strKey] = null;
-                            return;
-                        }
                         throw new Error(error);
                     })
                     .then(() =>
@@ -131,10 +482,32 @@ module.exports = cache => {
         }
     };
 
+    /**
+     * Read the keys in a span (if there is a tracer in the config)
+     */
+    const read = (_keys, ...args) => {
+        const kinds = arrify(_keys).map(key => key.kind);
+        const attributes = {
+            type: 'keys',
+            kinds: kinds.filter((kind, i) => kinds.indexOf(kind) === i),
+            keys: kinds.length,
+        };
+        return tracing.trace('keys.read', attributes, span => readKeys(span, _keys, ...args));
+    };
+
     const mget = (..._keys) => {
         const keys = _keys.map(k => keyToString(k));
+        const touch = values => {
+            if (cache.config.slidingExpiration) {
+                touchKeys(_keys, values, { staleWhileRevalidate: cache.config.staleWhileRevalidate });
+            }
+        };
+
         if (keys.length === 1) {
-            return cache.get(keys[0]).then(_entity => {
+            return cache.get(keys[0]).then(_entry => {
+                touch([_entry]);
+                const _entity = cacheValueToEntity(deserialize([_entry])[0]);
+                recordReads(_keys, [_entity]);
                 if (typeof _entity === 'undefined') {
                     return _entity;
                 }
@@ -142,38 +515,97 @@ module.exports = cache => {
             });
         }
 
-        return cache.mget(...keys).then(entities => addKEYtoEntity(entities, _keys));
+        return cache.mget(...keys).then(entries => {
+            touch(entries);
+            const entities = deserialize(entries).map(cacheValueToEntity);
+            recordReads(_keys, entities);
+            return addKEYtoEntity(entities, _keys);
+        });
     };
 
     const get = mget;
 
-    const mset = (..._keysValues) => {
-        let options = _keysValues.length % 2 > 0 ? _keysValues.pop() : {};
-        options = { ttl: getTTL(cache, options, 'keys') };
+    /**
+     * When "invalidateQueriesOnWrite" is set in the config, we clear the queries
+     * of the Entity Kinds of the keys written along with the cache operation,
+     * and resolve with the response of the cache operation once both are done.
+     */
+    const invalidateQueries = (keys, cacheOperation) => {
+        if (!cache.config.invalidateQueriesOnWrite) {
+            return cacheOperation;
+        }
 
-        // Convert Datastore Keys to unique string id
-        const keysValues = _keysValues.map((kv, i) => {
-            if (i % 2 === 0) {
-                return addCachePrefixKeys(dsKeyToString(kv));
+        // The queries are only cleared in the namespace of the keys.
+        // The keys without namespace clear the queries of their Entity Kinds in *all* namespaces.
+        const kindsByNamespace = {};
+        keys.forEach(key => {
+            const namespace = key.namespace || '';
+            kindsByNamespace[namespace] = kindsByNamespace[namespace] || [];
+            if (kindsByNamespace[namespace].indexOf(key.kind) < 0) {
+                kindsByNamespace[namespace].push(key.kind);
             }
-            return kv;
         });
 
-        const multi = keysValues.length > 2;
-        if (multi) {
-            return cache.mset(...keysValues, options).then(() => {
-                // The reponse is the odd index from the keysValues
-                const response = keysValues.filter((v, i) => i % 2 > 0);
-                return response;
-            });
+        const clearHandlers = Object.keys(kindsByNamespace).map(namespace => {
+            if (!namespace) {
+                return cache.queries.clearQueriesEntityKind(kindsByNamespace[namespace]);
+            }
+            return cache.queries.clearQueriesEntityKind(kindsByNamespace[namespace], { namespace });
+        });
+
+        return Promise.all([cacheOperation, ...clearHandlers]).then(([response]) => response);
+    };
+
+    /**
+     * Remove all the keys in cache of a namespace
+     */
+    const clearNamespace = namespace => {
+        if (!namespace) {
+            return Promise.reject(new Error('A namespace is required.'));
         }
+        return sets.clear(namespaceSetKey(namespace));
+    };
 
-        return cache.set(keysValues[0], keysValues[1], options);
+    const mset = (..._keysValues) => {
+        const _options = _keysValues.length % 2 > 0 ? _keysValues.pop() : {};
+        const keys = _keysValues.filter((kv, i) => i % 2 === 0);
+        const entities = _keysValues.filter((kv, i) => i % 2 > 0);
+
+        // The entities that don't have the same ttl are saved separately,
+        // the queries are then invalidated and the namespaces indexed once for all the keys.
+        const cacheOperation = Promise.all(
+            groupByTTL(keys).map(indexes => {
+                const options = { ttl: getTTL(cache, _options, 'keys', keys[indexes[0]].kind) };
+
+                // Convert Datastore Keys to unique string id and serialize the entities
+                const keysValues = indexes.reduce(
+                    (acc, i) => [...acc, keyToString(keys[i]), serializeValue(entities[i])],
+                    []
+                );
+
+                if (keysValues.length > 2) {
+                    return cache.mset(...keysValues, options);
+                }
+                return cache.set(keysValues[0], keysValues[1], options);
+            })
+        ).then(() => {
+            emitKeys('set', keys);
+            return keys.length > 1 ? entities : entities[0];
+        });
+
+        return invalidateQueries(keys, indexNamespaces(keys, cacheOperation, _options));
     };
 
     const set = mset;
 
-    const del = (...keys) => cache.del(keys.map(k => keyToString(k)));
+    const del = (...keys) =>
+        invalidateQueries(
+            keys,
+            cache.del(keys.map(k => keyToString(k))).then(response => {
+                emitKeys('del', keys);
+                return response;
+            })
+        );
 
     return {
         read,
@@ -182,5 +614,6 @@ module.exports = cache => {
         set,
         mset,
         del,
+        clearNamespace,
     };
 };
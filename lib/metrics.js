@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Render the statistics of the cache in the OpenMetrics text format
+ * to be scraped by Prometheus.
+ * https://github.com/OpenObservability/OpenMetrics/blob/main/specification/OpenMetrics.md
+ */
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const PREFIX = 'gstore_cache_';
+
+const escapeLabelValue = value =>
+    String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+
+const formatLabels = labels => {
+    const pairs = Object.keys(labels).map(name => `${name}="${escapeLabelValue(labels[name])}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Render a metric family: its metadata and its samples
+ * @param {string} name The name of the metric family (without the prefix)
+ * @param {string} type "counter" or "histogram"
+ * @param {string} help The description of the metric
+ * @param {Array<string>} samples The samples already formatted
+ */
+const renderFamily = (name, type, help, samples) => [
+    `# TYPE ${PREFIX}${name} ${type}`,
+    `# HELP ${PREFIX}${name} ${help}`,
+    ...samples,
+];
+
+const counterSample = (name, labels, value) => `${PREFIX}${name}_total${formatLabels(labels)} ${value}`;
+
+/**
+ * Convert a fetch latency histogram (in ms) to the samples of a histogram in seconds.
+ * (The numeric buckets keys are iterated in ascending order, followed by "+Inf")
+ */
+const histogramSamples = (name, labels, histogram) => [
+    ...Object.keys(histogram.buckets).map(bucket => {
+        const le = bucket === '+Inf' ? bucket : String(Number(bucket) / 1000);
+        return `${PREFIX}${name}_bucket${formatLabels(Object.assign({}, labels, { le }))} ${histogram.buckets[bucket]}`;
+    }),
+    `${PREFIX}${name}_count${formatLabels(labels)} ${histogram.count}`,
+    `${PREFIX}${name}_sum${formatLabels(labels)} ${histogram.sum / 1000}`,
+];
+
+module.exports = cache => {
+    /**
+     * Render the metrics of the cache in the OpenMetrics text format.
+     * The keys and queries metrics are labelled by Entity Kind and the stores metrics by store name.
+     * @returns {string}
+     */
+    const render = () => {
+        const stats = cache.stats();
+        const kindsOf = type => Object.keys(stats[type].kinds).map(kind => [kind, stats[type].kinds[kind]]);
+
+        const { storesNames } = cache;
+        Object.keys(stats.stores).forEach(name => {
+            if (storesNames.indexOf(name) < 0) {
+                storesNames.push(name);
+            }
+        });
+        const storeCounters = name => stats.stores[name] || { hits: 0, misses: 0, errors: 0 };
+
+        const keysRead = [];
+        const queriesRead = [];
+        const fetchDuration = [];
+        const errors = [];
+        const invalidations = [];
+        const storeRead = [];
+        const storeErrors = [];
+
+        kindsOf('keys').forEach(([kind, counters]) => {
+            keysRead.push(
+                counterSample('keys_read', { kind, result: 'hit' }, counters.hits),
+                counterSample('keys_read', { kind, result: 'miss' }, counters.misses),
+                counterSample('keys_read', { kind, result: 'partial_hit' }, counters.partialHits)
+            );
+        });
+
+        kindsOf('queries').forEach(([kind, counters]) => {
+            queriesRead.push(
+                counterSample('queries_read', { kind, result: 'hit' }, counters.hits),
+                counterSample('queries_read', { kind, result: 'miss' }, counters.misses)
+            );
+            invalidations.push(counterSample('invalidations', { kind }, counters.invalidations));
+        });
+
+        ['keys', 'queries'].forEach(type => {
+            kindsOf(type).forEach(([kind, counters]) => {
+                if (counters.fetches > 0) {
+                    fetchDuration.push(
+                        ...histogramSamples('fetch_duration_seconds', { type, kind }, counters.fetchLatency)
+                    );
+                }
+                errors.push(counterSample('errors', { type, kind }, counters.errors));
+            });
+        });
+
+        storesNames.forEach(store => {
+            const counters = storeCounters(store);
+            storeRead.push(
+                counterSample('store_read', { store, result: 'hit' }, counters.hits),
+                counterSample('store_read', { store, result: 'miss' }, counters.misses)
+            );
+            storeErrors.push(counterSample('store_errors', { store }, counters.errors));
+        });
+
+        const lines = [
+            ...renderFamily('keys_read', 'counter', 'Keys read from the cache.', keysRead),
+            ...renderFamily('queries_read', 'counter', 'Queries read from the cache.', queriesRead),
+            ...renderFamily(
+                'fetch_duration_seconds',
+                'histogram',
+                'Duration of the fetchHandler calls.',
+                fetchDuration
+            ),
+            ...renderFamily('errors', 'counter', 'Errors reading the cache or fetching the data.', errors),
+            ...renderFamily(
+                'invalidations',
+                'counter',
+                'Invalidations of the queries of an Entity Kind.',
+                invalidations
+            ),
+            ...renderFamily('store_read', 'counter', 'Keys read from each cache store.', storeRead),
+            ...renderFamily('store_errors', 'counter', 'Errors of each cache store (ex: Redis commands).', storeErrors),
+            '# EOF',
+        ];
+
+        return `${lines.join('\n')}\n`;
+    };
+
+    /**
+     * Tiny middleware (http.Server request listener, Express or Connect)
+     * responding with the metrics on a path.
+     * @param {Object} options The "path" of the endpoint (default: "/metrics")
+     */
+    const middleware = (options = {}) => {
+        const path = options.path || '/metrics';
+
+        return (req, res, next) => {
+            if (req.url.split('?')[0] !== path) {
+                if (typeof next === 'function') {
+                    return next();
+                }
+                res.statusCode = 404; // eslint-disable-line no-param-reassign
+                return res.end();
+            }
+
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            return res.end(render());
+        };
+    };
+
+    return {
+        render,
+        middleware,
+        CONTENT_TYPE,
+    };
+};
@@ -2,16 +2,50 @@
 
 const arrify = require('arrify');
 const utils = require('./utils');
-
-const { dsQueryToString } = utils.datastore;
-const { is } = utils;
-const { getTTL } = utils.ttl;
+const gstoreCacheSets = require('./sets');
+const gstoreCacheTracing = require('./tracing');
+const { compress, decompress } = require('./compression');
+
+const {
+    KEY_ENCODINGS,
+    dsQueryToString,
+    queryFingerprint,
+    dsKeyToString,
+    dsKeyFromObject,
+    dsValueToString,
+    getQueryAncestor,
+    getKeyPath,
+} = utils.datastore;
+const { is, entry } = utils;
+const { hash } = utils.string;
+const { getTTL, hasKindTTL, extendTTL } = utils.ttl;
 
 module.exports = cache => {
     let _this;
 
-    const addCachePrefixKeys = key => cache.config.cachePrefix.queries + key;
-    const queryToString = key => addCachePrefixKeys(dsQueryToString(key));
+    const sets = gstoreCacheSets(cache);
+    const tracing = gstoreCacheTracing(cache);
+
+    /**
+     * The Entity Kinds in a list of Sets names (the other Sets names start with "__")
+     */
+    const realKinds = setsNames => setsNames.filter(name => name.indexOf('__') !== 0);
+
+    /**
+     * Serialize (and compress if enabled) the queries data before saving them in the cache
+     * and decompress and deserialize them when reading the cache.
+     */
+    const serialize = value =>
+        compress(cache.config.serializer.serialize(value, cache.ds), cache.config.compression.queries);
+    const deserialize = value => cache.config.serializer.deserialize(decompress(value), cache.ds);
+
+    const addCachePrefixKeys = (key, kind) =>
+        cache.config.cachePrefix.queries + utils.version.prefix(cache.config, kind) + key;
+    const queryToString = query =>
+        addCachePrefixKeys(
+            cache.config.keyEncoding === KEY_ENCODINGS.SAFE ? queryFingerprint(query) : dsQueryToString(query),
+            query.kinds[0]
+        );
 
     /**
      * Add the Datastore KEY from the entities Symbol to a "__dsKey__" property
@@ -30,16 +64,19 @@ module.exports = cache => {
     /**
      * Reads the __dsKey__ prop on the entities.
      * If it is found, set is as datastore.KEY Symbol and deletes it.
+     * If the Key has lost its class in the cache (ex: saved in JSON), a Datastore Key is rebuilt.
      *
      * @param {Array<Entities>} _entities returned by the cache
      */
     const unMarshalKeys = _entities => {
         let entities = arrify(_entities);
         entities = entities.map(_entity => {
-            if (!_entity.__dsKey__) {
+            if (!_entity || !_entity.__dsKey__) {
                 return _entity;
             }
-            const entity = Object.assign({}, _entity, { [cache.ds.KEY]: _entity.__dsKey__ });
+            const entity = Object.assign({}, _entity, {
+                [cache.ds.KEY]: dsKeyFromObject(_entity.__dsKey__, cache.ds),
+            });
             delete entity.__dsKey__;
             return entity;
         });
@@ -47,83 +84,382 @@ module.exports = cache => {
     };
 
     /**
-     * When a Redis Client is present we save the response of the Query to cache
-     * and we also add its the cache key to a Set of Queries for the Entity Kind.
+     * The compressed queries data are saved in JSON, even in the memory store.
+     * We then need to save the KEY Symbol of the entities in their "__dsKey__" prop.
+     */
+    const marshalForCompression = queryData => {
+        if (!cache.config.compression.queries) {
+            return queryData;
+        }
+        return [marshalKeys(queryData[0]), queryData[1]];
+    };
+
+    const kindSetKey = kind => cache.config.cachePrefix.queries + kind;
+
+    /**
+     * Scope an Entity Kind to its namespace for the Sets names.
+     */
+    const scopedKind = (kind, namespace) => (namespace ? `${namespace}:${kind}` : kind);
+
+    /**
+     * Name of the Set of the queries of a namespace, or of an Entity Kind in a namespace.
+     */
+    const namespaceSetName = (namespace, kind) => {
+        if (kind) {
+            return `__namespace__:${namespace}:${kind}`;
+        }
+        return `__namespace__:${namespace}`;
+    };
+
+    /**
+     * Name of the Set of the queries filtered by an ancestor Key.
+     */
+    const ancestorSetName = key => `__ancestor__:${dsKeyToString(key, { encoding: cache.config.keyEncoding })}`;
+
+    /**
+     * Name of the Set of the queries of an Entity Kind with an equality filter
+     * on a property value (ex: "status = open").
+     */
+    const propertySetName = (kind, property, value) =>
+        `__property__:${kind}:${hash(`${property}=${dsValueToString(value)}`)}`;
+
+    /**
+     * Name of the Set of the queries of an Entity Kind without any equality filter
+     * on a property. Those queries can be impacted by a change on *any* entity of the Kind.
+     */
+    const unfilteredSetName = kind => `__unfiltered__:${kind}`;
+
+    /**
+     * Check if a Set name is the name of a property Set or of an "unfiltered" Set
+     */
+    const isFilterSetName = name => name.indexOf('__property__:') === 0 || name.indexOf('__unfiltered__:') === 0;
+
+    /**
+     * Get the names of the Sets in which a query is saved:
+     * - the Entity Kind of the query
+     * - the namespace of the query and its Entity Kind in the namespace (if the query has a namespace)
+     * - the ancestor Key of the query (if it is filtered by ancestor)
+     * - each property equality filter of the query, or the "unfiltered" Set of the Kind if there are none
+     */
+    const querySetsNames = query => {
+        const kind = query.kinds[0];
+        const { namespace } = query;
+        const ancestor = getQueryAncestor(query);
+        const equalityFilters = query.filters.filter(f => f.op === '=' && f.name !== '__key__');
+
+        const setsNames = [kind];
+        if (namespace) {
+            setsNames.push(namespaceSetName(namespace), namespaceSetName(namespace, kind));
+        }
+        if (ancestor) {
+            setsNames.push(ancestorSetName(ancestor));
+        }
+        if (equalityFilters.length) {
+            equalityFilters.forEach(f => setsNames.push(propertySetName(scopedKind(kind, namespace), f.name, f.val)));
+        } else {
+            setsNames.push(unfilteredSetName(scopedKind(kind, namespace)));
+        }
+        return setsNames;
+    };
+
+    /**
+     * We save the response of the Query to cache and we also add
+     * its cache key to a Set of Queries for the Entity Kind.
      * If later on the entity kind is modified or deleted, we can then easily remove
-     * all the queries cached for that Entiy Kind with "clearQueriesEntityKind()" below
+     * all the queries cached for that Entiy Kind with "clearQueriesEntityKind()" below.
+     * When a Redis Client is present, the Sets are saved in Redis, otherwise they are kept in memory.
      */
     const kset = (queryKey, value, _entityKind, options = {}) =>
-        new Promise((resolve, reject) => {
-            if (!cache.redisClient) {
-                return reject(new Error('No Redis Client found.'));
-            }
-
-            const entityKind = arrify(_entityKind);
-            const keysSetsQueries = entityKind.map(kind => cache.config.cachePrefix.queries + kind);
-
-            return cache.redisClient
-                .multi([
-                    ...keysSetsQueries.map(keySet => ['sadd', keySet, queryKey]),
-                    options.ttl
-                        ? ['setex', queryKey, options.ttl, JSON.stringify(value)]
-                        : ['set', queryKey, JSON.stringify(value)],
-                ])
-                .exec((err, response) => {
-                    if (err) {
-                        return reject(err);
+        tracing.trace(
+            'kset',
+            { type: 'queries', kinds: realKinds(arrify(_entityKind)) },
+            () =>
+                new Promise((resolve, reject) => {
+                    const entityKind = arrify(_entityKind);
+                    const keysSetsQueries = entityKind.map(kindSetKey);
+
+                    const redisClient = cache.activeRedisClient;
+
+                    if (!redisClient) {
+                        return cache
+                            .set(queryKey, value, options)
+                            .then(response => {
+                                sets.addToMemory(keysSetsQueries, [queryKey]);
+                                resolve(response);
+                            })
+                            .catch(reject);
                     }
-                    return resolve(response);
-                });
+
+                    // The property Sets of the query are also added to its Entity Kind (and namespace) Sets
+                    // so they are removed along with them (ex: with "clearQueriesEntityKind()").
+                    const filtersSets = entityKind.filter(isFilterSetName).map(kindSetKey);
+                    const saddCommands = entityKind.map((name, i) => {
+                        if (isFilterSetName(name) || name.indexOf('__ancestor__:') === 0) {
+                            return ['sadd', keysSetsQueries[i], queryKey];
+                        }
+                        return ['sadd', keysSetsQueries[i], queryKey, ...filtersSets];
+                    });
+
+                    const start = Date.now();
+                    return redisClient
+                        .multi([
+                            ...saddCommands,
+                            options.ttl
+                                ? ['setex', queryKey, options.ttl, JSON.stringify(value)]
+                                : ['set', queryKey, JSON.stringify(value)],
+                        ])
+                        .exec((err, response) => {
+                            if (err) {
+                                cache.onStoreError(err, 'redis');
+                                return reject(err);
+                            }
+                            cache.onStoreResponse('redis', Date.now() - start);
+                            return resolve(response);
+                        });
+                })
+        );
+
+    /**
+     * Remove the queries saved in Sets and count the invalidation for the Entity Kinds concerned
+     */
+    const clearSets = (setsNames, kinds) => {
+        cache.statsCollector.invalidation('queries', kinds);
+        return sets.clear(setsNames.map(kindSetKey)).then(response => {
+            cache.emit('invalidate', { type: 'queries', kinds, sets: setsNames });
+            return response;
         });
+    };
 
     /**
      * Remove all the queries in cache for an Entity Kind
-     * This will remove from Redis all the queries saved
-     * in our <EntityKind> Set
+     * This will remove from the cache all the queries saved
+     * in our <EntityKind> Set.
+     * If a namespace is provided, only the queries of the Entity Kind in that namespace are removed.
      */
-    const clearQueriesEntityKind = _entityKinds =>
-        new Promise((resolve, reject) => {
-            if (!cache.redisClient) {
-                const err = new Error('No Redis Client found.');
-                err.code = 'ERR_NO_REDIS';
-                return reject(err);
+    const clearQueriesEntityKind = (_entityKinds, options = {}) => {
+        const entityKinds = arrify(_entityKinds);
+        const setsNames = options.namespace
+            ? entityKinds.map(kind => namespaceSetName(options.namespace, kind))
+            : entityKinds;
+
+        const kinds = realKinds(entityKinds);
+
+        return tracing.trace('clearQueriesEntityKind', { type: 'queries', kinds }, () => clearSets(setsNames, kinds));
+    };
+
+    /**
+     * Remove all the queries in cache of a namespace
+     */
+    const clearNamespace = namespace => {
+        if (!namespace) {
+            return Promise.reject(new Error('A namespace is required.'));
+        }
+        return sets.clear(kindSetKey(namespaceSetName(namespace)));
+    };
+
+    /**
+     * Remove all the queries in cache filtered by an ancestor Key.
+     * As a query filtered by ancestor returns all its descendants, we clear
+     * the queries filtered by the Key *and* by each of its ancestors.
+     * ex: for the Key ['Post', 123, 'Comment', 456] we clear the queries filtered by
+     * the ['Post', 123, 'Comment', 456] and the ['Post', 123] ancestor Keys.
+     */
+    const clearQueriesForAncestor = key => clearSets(getKeyPath(key).map(ancestorSetName), [key.kind]);
+
+    /**
+     * Remove the queries in cache that could be impacted by a change on an entity.
+     * Only the queries with an equality filter matching a property value of the
+     * entity before *or* after the change are cleared, along with the queries of the Kind
+     * without equality filter (they can be impacted by any entity).
+     * @param {Object} entity The entity saved (with its Datastore KEY Symbol)
+     * @param {Object} previousEntity (optional) The entity before the change
+     */
+    const invalidateForEntity = (entity, previousEntity) => {
+        const entities = [entity, previousEntity].filter(e => is.object(e));
+        const key = entities.map(e => e[cache.ds.KEY]).find(k => k);
+
+        if (!key) {
+            return Promise.reject(new Error('The entity does not have a Datastore Key'));
+        }
+
+        const kind = scopedKind(key.kind, key.namespace);
+        const setsNames = new Set([unfilteredSetName(kind)]);
+        const addPropertiesSets = (value, property) => {
+            if (Array.isArray(value)) {
+                value.forEach(v => addPropertiesSets(v, property));
+                return;
             }
+            if (property) {
+                setsNames.add(propertySetName(kind, property, value));
+            }
+            if (is.object(value)) {
+                // The properties of the embedded entities are filtered by their path (ex: "address.city")
+                Object.keys(value).forEach(name =>
+                    addPropertiesSets(value[name], property ? `${property}.${name}` : name)
+                );
+            }
+        };
+        entities.forEach(e => addPropertiesSets(Object.assign({}, e)));
 
-            const entityKinds = arrify(_entityKinds);
+        return clearSets(Array.from(setsNames), [key.kind]);
+    };
 
-            /**
-             * Get the list of Redis Keys for each EntiyKind Set
-             */
-            const setsQueries = entityKinds.map(entityKind => cache.config.cachePrefix.queries + entityKind);
+    /**
+     * Emit an event ("hit", "miss", "set", "del") for each query
+     * @param {Array<Query>} queries The Datastore Queries
+     */
+    const emitQueries = (event, queries) => {
+        if (cache.listenerCount(event) === 0) {
+            return;
+        }
+        queries.forEach(query =>
+            cache.emit(event, { type: 'queries', kind: query.kinds[0], key: queryToString(query) })
+        );
+    };
 
-            const commands = [...setsQueries.map(set => ['smembers', set])];
-            return cache.redisClient.multi(commands).exec((err, response) => {
-                if (err) {
-                    return reject(err);
-                }
+    /**
+     * Count and emit a hit or a miss of a query read from the cache
+     */
+    const recordRead = (query, value) => {
+        const result = typeof value === 'undefined' ? 'miss' : 'hit';
+        cache.statsCollector[result]('queries', query.kinds);
+        emitQueries(result, [query]);
+    };
 
-                const setsMembers = response.reduce((acc, members) => {
-                    if (members === null) {
-                        return acc;
-                    }
-                    return [...acc, ...members];
-                }, []);
-                const keysToDelete = new Set([...setsMembers, ...setsQueries]);
+    /**
+     * Extend the ttl of a query read from the cache ("sliding expiration").
+     * @param {string} queryKey The cache key of the query
+     * @param {*} value The value returned by the cache for the query
+     */
+    const touchQuery = (queryKey, value, options) => {
+        if (typeof value === 'undefined' || value === null) {
+            return Promise.resolve();
+        }
+
+        const ttl = options.staleWhileRevalidate ? extendTTL(options.ttl, options.staleWhileRevalidate) : options.ttl;
+        return cache.touch([queryKey], { ttl }).catch(() => {
+            // The query is still in the cache, it will only expire earlier.
+        });
+    };
 
-                return cache.redisClient.del(Array.from(keysToDelete), (errDel, res) => {
-                    if (errDel) {
-                        return reject(errDel);
+    /**
+     * Queries being fetched, mapped by their cache key.
+     * Concurrent reads of the same query share the pending fetch
+     * instead of each running the query.
+     */
+    const pendingFetches = {};
+
+    /**
+     * Run the Query and prime the cache with its response.
+     * If the query is already being fetched we return the pending fetch.
+     */
+    const fetchQuery = (query, queryKey, fetchHandler, options) => {
+        if (pendingFetches[queryKey] !== undefined) {
+            return pendingFetches[queryKey];
+        }
+
+        const fetchStart = Date.now();
+        const onFetched = () => {
+            const duration = Date.now() - fetchStart;
+            cache.statsCollector.fetch('queries', query.kinds, duration);
+            cache.emit('fetch', { type: 'queries', kinds: query.kinds, keys: [queryKey], duration });
+        };
+        const pending = fetchHandler(query)
+            .then(
+                result => {
+                    onFetched();
+                    return result;
+                },
+                error => {
+                    onFetched();
+                    throw error;
+                }
+            )
+            .then(resultFetched => {
+                const meta = { delta: Date.now() - fetchStart };
+                const onCacheError = error => {
+                    if (options.failOpen) {
+                        return resultFetched;
                     }
-                    return resolve(res);
-                });
+                    throw error;
+                };
+                const [[value], cacheOptions] = entry.prepare(
+                    cache,
+                    [marshalForCompression(resultFetched)],
+                    options,
+                    meta
+                );
+
+                if (typeof cache.redisClient !== 'undefined') {
+                    // If there is a Redis Client we will save the Query
+                    // and link it to an Entity Kind Redis "Set"
+
+                    // If ttl is a function call it
+                    const redisOptions =
+                        typeof cacheOptions.ttl === 'function'
+                            ? Object.assign({}, cacheOptions, { ttl: cacheOptions.ttl(null, 'redis') })
+                            : cacheOptions;
+
+                    // Add the KEY Symbol of each entity in a __dsKey__ prop
+                    const entities = marshalKeys(resultFetched[0]);
+                    const [[redisValue]] = entry.prepare(cache, [[entities, resultFetched[1]]], options, meta);
+
+                    const cacheHandlers = [
+                        _this.kset(queryKey, serialize(redisValue), querySetsNames(query), redisOptions),
+                    ];
+
+                    // If we have a cacheManager instante without the Redis Store
+                    // we also save the query data in it.
+                    if (cache.cacheManagerNoRedis) {
+                        cacheOptions.cacheManager = cache.cacheManagerNoRedis;
+                        cacheHandlers.push(cache.primeCache(queryKey, serialize(value), cacheOptions));
+                    }
+
+                    return Promise.all(cacheHandlers)
+                        .then(() => {
+                            emitQueries('set', [query]);
+                            return resultFetched;
+                        })
+                        .catch(onCacheError);
+                }
+
+                // Prime the cache
+                return cache
+                    .primeCache(queryKey, serialize(value), cacheOptions)
+                    .then(() => {
+                        sets.addToMemory(querySetsNames(query).map(kindSetKey), [queryKey]);
+                        emitQueries('set', [query]);
+                        return resultFetched;
+                    })
+                    .catch(onCacheError);
             });
-        });
+
+        const onDone = () => {
+            if (pendingFetches[queryKey] === pending) {
+                delete pendingFetches[queryKey];
+            }
+        };
+        pendingFetches[queryKey] = pending;
+        pending.then(onDone, onDone);
+
+        return pending;
+    };
 
     /**
-     * Get a Query from the Cache
-     * If it is not found, fetch it and then prime the cache
+     * Refresh in the background a query whose cache has expired
+     * but that is still served in "stale-while-revalidate" mode,
+     * or that is about to expire in "earlyRefresh" mode.
      */
-    const read = (query, ...args) => {
+    const refreshQuery = (query, queryKey, fetchHandler, options) =>
+        fetchQuery(query, queryKey, fetchHandler, options).then(
+            () => cache.emit('refresh', { type: 'queries', query }),
+            error => {
+                cache.onError(error, 'queries', query.kinds);
+                cache.emit('refreshError', error, { type: 'queries', query });
+            }
+        );
+
+    const readQuery = (span, query, ...args) => {
         let fetchHandler = args.length > 1 ? args[1] : args[0];
 
         if (typeof fetchHandler !== 'function') {
@@ -132,72 +468,109 @@ module.exports = cache => {
              */
             fetchHandler = query.run.bind(query);
         }
-        const options = is.object(args[0]) ? args[0] : {};
-        options.ttl = getTTL(cache, options, 'queries');
+        // Copy of the options: the ttl and defaults resolved are not written back in the caller's object
+        const options = Object.assign({}, is.object(args[0]) ? args[0] : {});
+        options.ttl = getTTL(cache, options, 'queries', query.kinds[0]);
+
+        if (typeof options.staleWhileRevalidate === 'undefined') {
+            options.staleWhileRevalidate = cache.config.staleWhileRevalidate;
+        }
+
+        if (typeof options.earlyRefresh === 'undefined') {
+            options.earlyRefresh = cache.config.earlyRefresh;
+        }
+
+        if (typeof options.slidingExpiration === 'undefined') {
+            options.slidingExpiration = cache.config.slidingExpiration;
+        }
+
+        if (typeof options.failOpen === 'undefined') {
+            options.failOpen = cache.config.failOpen;
+        }
 
         const queryKey = queryToString(query);
 
-        return cache.cacheManager.get(queryKey, options).then(onResult);
+        return cache.cacheManager
+            .get(queryKey, options)
+            .catch(error => {
+                // In "failOpen" mode, when the cache store fails the query is fetched as if it was not in the cache.
+                if (!options.failOpen) {
+                    throw error;
+                }
+                return undefined;
+            })
+            .then(onResult)
+            .catch(error => {
+                cache.onError(error, 'queries', query.kinds);
+                throw error;
+            });
+
+        function onResult(_cacheEntry) {
+            const cacheEntry = deserialize(_cacheEntry);
+
+            if (options.slidingExpiration) {
+                touchQuery(queryKey, _cacheEntry, options);
+            }
+
+            const resultCached = entry.value(cacheEntry);
+            recordRead(query, resultCached);
+            tracing.setAttributes(span, { hit: typeof resultCached !== 'undefined' });
+
+            if (entry.isStale(cacheEntry) || entry.isEarlyRefresh(cacheEntry, options.earlyRefresh)) {
+                refreshQuery(query, queryKey, fetchHandler, options);
+            }
 
-        function onResult(resultCached) {
             if (typeof resultCached === 'undefined') {
                 /**
                  * No cache we need to run the Query
                  */
-                return fetchHandler(query).then(resultFetched => {
-                    if (typeof cache.redisClient !== 'undefined') {
-                        // If there is a Redis Client we will save the Query
-                        // and link it to an Entity Kind Redis "Set"
-
-                        // If ttl is a function call it
-                        const redisOptions =
-                            typeof options.ttl === 'function'
-                                ? Object.assign({}, options, { ttl: options.ttl(null, 'redis') })
-                                : options;
-
-                        // Add the KEY Symbol of each entity in a __dsKey__ prop
-                        const entities = marshalKeys(resultFetched[0]);
-
-                        const cacheHandlers = [
-                            _this.kset(queryKey, [entities, resultFetched[1]], query.kinds[0], redisOptions),
-                        ];
-
-                        // If we have a cacheManager instante without the Redis Store
-                        // we also save the query data in it.
-                        if (cache.cacheManagerNoRedis) {
-                            options.cacheManager = cache.cacheManagerNoRedis;
-                            cacheHandlers.push(cache.primeCache(queryKey, resultFetched, options));
-                        }
-
-                        return Promise.all(cacheHandlers).then(() => Promise.resolve(resultFetched));
-                    }
-
-                    // Prime the cache
-                    return cache.primeCache(queryKey, resultFetched, options);
+                return fetchQuery(query, queryKey, fetchHandler, options).then(result => {
+                    tracing.setAttributes(span, { fetched: result && result[0] ? arrify(result[0]).length : 0 });
+                    return result;
                 });
             }
 
-            return resultCached;
+            return [unMarshalKeys(resultCached[0]), resultCached[1]];
         }
     };
 
+    /**
+     * Get a Query from the Cache
+     * If it is not found, fetch it and then prime the cache
+     * (in a span if there is a tracer in the config)
+     */
+    const read = (query, ...args) =>
+        tracing.trace('queries.read', { type: 'queries', kinds: query.kinds }, span => readQuery(span, query, ...args));
+
     const mget = (..._keys) => {
         const isMultiple = _keys.length > 1;
         const keys = _keys.map(queryToString);
 
         const onResponse = response => {
             if (typeof response === 'undefined') {
+                recordRead(_keys[0], response);
                 return response;
             }
 
-            const addKeysToEntities = r => {
+            if (cache.config.slidingExpiration) {
+                (isMultiple ? response : [response]).forEach((value, i) =>
+                    touchQuery(keys[i], value, {
+                        ttl: getTTL(cache, {}, 'queries', _keys[i].kinds[0]),
+                        staleWhileRevalidate: cache.config.staleWhileRevalidate,
+                    })
+                );
+            }
+
+            const addKeysToEntities = (_r, i = 0) => {
+                const r = entry.value(deserialize(_r));
+                recordRead(_keys[i], r);
                 if (typeof r === 'undefined') {
                     return r;
                 }
                 return [unMarshalKeys(r[0]), r[1]];
             };
 
-            return isMultiple ? response.map(addKeysToEntities) : addKeysToEntities(response);
+            return isMultiple ? response.map((r, i) => addKeysToEntities(r, i)) : addKeysToEntities(response);
         };
 
         if (keys.length === 1) {
@@ -223,12 +596,12 @@ module.exports = cache => {
         const entities = marshalKeys(queryData[0]);
 
         // Cache the Query by EntityKind
-        cacheHandlers.push(kset(queryKey, [entities, queryData[1]], query.kinds[0], redisOptions));
+        cacheHandlers.push(kset(queryKey, serialize([entities, queryData[1]]), querySetsNames(query), redisOptions));
 
         // Add the Query in NonRedis Caches
         if (cache.cacheManagerNoRedis) {
             options.cacheManager = cache.cacheManagerNoRedis;
-            cacheHandlers.push(cache.primeCache(queryKey, queryData, options));
+            cacheHandlers.push(cache.primeCache(queryKey, serialize(marshalForCompression(queryData)), options));
         }
 
         return Promise.all(cacheHandlers).then(() => [queryData]);
@@ -257,21 +630,25 @@ module.exports = cache => {
             const metaQuery = queryData[1];
 
             // Cache the Query by EntityKind
-            cacheHandlers.push(_this.kset(queryKey, [entities, metaQuery], query.kinds[0], redisOptions));
+            cacheHandlers.push(
+                _this.kset(queryKey, serialize([entities, metaQuery]), querySetsNames(query), redisOptions)
+            );
 
             // Add the Query in NonRedis Caches
             if (cache.cacheManagerNoRedis) {
                 options.cacheManager = cache.cacheManagerNoRedis;
-                cacheHandlers.push(cache.primeCache(queryKey, [entities, metaQuery], options));
+                cacheHandlers.push(cache.primeCache(queryKey, serialize([entities, metaQuery]), options));
             }
         }
 
         return Promise.all(cacheHandlers).then(() => response);
     };
 
-    const mset = (...keysValues) => {
-        let options = keysValues.length % 2 > 0 ? keysValues.pop() : {};
-        options = { ttl: getTTL(cache, options, 'queries') };
+    /**
+     * Save in the cache queries that have the same ttl
+     */
+    const msetGroup = (keysValues, _options) => {
+        const options = { ttl: getTTL(cache, _options, 'queries', keysValues[0] && keysValues[0].kinds[0]) };
 
         /**
          * If there is a redisClient we save the query in a Redis Set of the Query Entity Kind.
@@ -291,27 +668,79 @@ module.exports = cache => {
             return msetWithKind(keysValues, options, redisOptions);
         }
 
-        // Convert Datastore Queries to unique string ids
+        // Convert Datastore Queries to unique string ids and serialize the queries data
         const args = keysValues.map((kv, i) => {
             if (i % 2 === 0) {
                 return queryToString(kv);
             }
-            return kv;
+            return serialize(marshalForCompression(kv));
         });
 
+        // Add the queries to their Entity Kind Set in memory
+        const addToKindSets = () => {
+            keysValues.forEach((query, i) => {
+                if (i % 2 === 0) {
+                    sets.addToMemory(querySetsNames(query).map(kindSetKey), [args[i]]);
+                }
+            });
+        };
+
         if (args.length === 2) {
-            return cache.set(args[0], args[1], options);
+            return cache.set(args[0], args[1], options).then(response => {
+                addToKindSets();
+                return response;
+            });
         }
         return cache.mset(...args, options).then(() => {
+            addToKindSets();
+
             // The reponse is the odd index from the keysValues
-            const response = args.filter((v, i) => i % 2 > 0);
-            return response;
+            return keysValues.filter((v, i) => i % 2 > 0);
         });
     };
 
+    const mset = (...keysValues) => {
+        const _options = keysValues.length % 2 > 0 ? keysValues.pop() : {};
+        // The queries that don't have the same ttl are saved separately: the queries of the Entity Kinds
+        // with their own ttl, and each query with a ttl jitter so they don't expire at the same time.
+        const ttlGroup = (query, i) => {
+            if (cache.config.ttl.jitter) {
+                return String(i);
+            }
+            return hasKindTTL(cache, query.kinds[0]) ? query.kinds[0] : '';
+        };
+        const groups = keysValues
+            .map((kv, i) => (i % 2 === 0 ? ttlGroup(kv, i) : undefined))
+            .filter((group, i, arr) => typeof group !== 'undefined' && arr.indexOf(group) === i);
+        const groupKeysValues = group =>
+            keysValues.reduce((acc, kv, i) => {
+                if (i % 2 === 0 && ttlGroup(kv, i) === group) {
+                    return [...acc, kv, keysValues[i + 1]];
+                }
+                return acc;
+            }, []);
+
+        const onSet = response => {
+            emitQueries('set', keysValues.filter((kv, i) => i % 2 === 0));
+            return response;
+        };
+
+        if (groups.length > 1) {
+            return Promise.all(groups.map(group => msetGroup(groupKeysValues(group), _options))).then(() =>
+                onSet(keysValues.filter((v, i) => i % 2 > 0))
+            );
+        }
+
+        return msetGroup(keysValues, _options).then(onSet);
+    };
+
     const set = mset;
 
-    const del = (...keys) => cache.del(keys.map(k => queryToString(k)));
+    const del = (...keys) =>
+        cache.del(keys.map(k => queryToString(k))).then(response => {
+            emitQueries('del', keys);
+            return response;
+        });
 
     /**
      * We save the object reference in a "_this" variable
@@ -320,6 +749,9 @@ module.exports = cache => {
     _this = {
         kset,
         clearQueriesEntityKind,
+        clearQueriesForAncestor,
+        invalidateForEntity,
+        clearNamespace,
         read,
         get,
         mget,
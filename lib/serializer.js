@@ -0,0 +1,167 @@
+'use strict';
+
+const ds = require('@google-cloud/datastore')();
+
+const utils = require('./utils');
+
+const { getKeyPath } = utils.datastore;
+const { is } = utils;
+
+/**
+ * Default serializer of the values saved in the cache.
+ * JSON (used by the Redis store) loses the types of the entities properties: Date become strings,
+ * Buffer become { type: 'Buffer' } objects, Datastore Int, Double, GeoPoint and Key lose their class...
+ * This serializer converts the values to JSON compatible objects where those types are tagged,
+ * and converts them back when reading the cache.
+ * The values passed are never mutated.
+ */
+const TYPE = '__gcType__';
+
+const tag = (type, value) => ({ [TYPE]: type, value });
+
+const keyToJSON = key =>
+    tag('Key', {
+        namespace: key.namespace,
+        path: getKeyPath(key)
+            .reverse()
+            .map(k => {
+                if (typeof k.id !== 'undefined') {
+                    return [k.kind, 'id', k.id];
+                }
+                if (typeof k.name !== 'undefined') {
+                    return [k.kind, 'name', k.name];
+                }
+                return [k.kind];
+            }),
+    });
+
+const keyFromJSON = ({ namespace, path }, datastore) =>
+    datastore.key({
+        namespace,
+        path: path.reduce((acc, [kind, type, identifier]) => {
+            if (type === 'id') {
+                // The Datastore returns the ids as strings, we need to wrap them in an Int
+                // otherwise they would be converted to a Key *name*.
+                return [...acc, kind, typeof identifier === 'number' ? identifier : datastore.int(identifier)];
+            }
+            if (type === 'name') {
+                return [...acc, kind, identifier];
+            }
+            return [...acc, kind];
+        }, []),
+    });
+
+/**
+ * Map the values of an Array, and return the *same* Array if none of its values has changed
+ */
+const mapArray = (array, fn) => {
+    const copy = array.map(fn);
+    return copy.some((v, i) => v !== array[i]) ? copy : array;
+};
+
+/**
+ * Map the properties of an object, and return the *same* object if none of its properties has changed.
+ * The Datastore KEY Symbol of the entities is kept (JSON ignores it, but not the memory store).
+ */
+const mapObject = (object, fn, datastore) => {
+    let changed = false;
+    const copy = Object.keys(object).reduce((acc, prop) => {
+        acc[prop] = fn(object[prop]);
+        changed = changed || acc[prop] !== object[prop];
+        return acc;
+    }, {});
+
+    if (!changed) {
+        return object;
+    }
+    if (object[datastore.KEY]) {
+        copy[datastore.KEY] = object[datastore.KEY];
+    }
+    return copy;
+};
+
+/**
+ * @param {*} value The value to serialize
+ * @param {Object} datastore (optional) The Datastore instance of the application, its Key, Int, Double
+ * and GeoPoint classes can be different from the ones of the Datastore module of the cache.
+ */
+const serialize = (value, datastore = ds) => {
+    if (value === null || typeof value !== 'object') {
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            return tag('Number', String(value));
+        }
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return mapArray(value, v => serialize(v, datastore));
+    }
+    if (value instanceof Date) {
+        return tag('Date', serialize(value.getTime(), datastore));
+    }
+    if (Buffer.isBuffer(value)) {
+        return tag('Buffer', value.toString('base64'));
+    }
+    if (datastore.isKey(value)) {
+        return keyToJSON(value);
+    }
+    if (datastore.isInt(value)) {
+        return tag('Int', value.value);
+    }
+    if (datastore.isDouble(value)) {
+        return tag('Double', serialize(value.value, datastore));
+    }
+    if (datastore.isGeoPoint(value)) {
+        return tag('GeoPoint', value.value);
+    }
+
+    const object = mapObject(value, v => serialize(v, datastore), datastore);
+
+    // Objects using our type property are escaped so they are not confused with a tagged value
+    return Object.prototype.hasOwnProperty.call(value, TYPE) ? tag('Object', object) : object;
+};
+
+/**
+ * @param {*} value The value read from the cache
+ * @param {Object} datastore (optional) The Datastore instance to create the Key, Int, Double and GeoPoint
+ */
+const deserialize = (value, datastore = ds) => {
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    const deserializeValue = v => deserialize(v, datastore);
+
+    if (Array.isArray(value)) {
+        return mapArray(value, deserializeValue);
+    }
+    if (!is.object(value)) {
+        return value;
+    }
+
+    switch (value[TYPE]) {
+        case undefined:
+            return mapObject(value, deserializeValue, datastore);
+        case 'Number':
+            return Number(value.value);
+        case 'Date':
+            return new Date(deserializeValue(value.value));
+        case 'Buffer':
+            return Buffer.from(value.value, 'base64');
+        case 'Key':
+            return keyFromJSON(value.value, datastore);
+        case 'Int':
+            return datastore.int(value.value);
+        case 'Double':
+            return datastore.double(deserializeValue(value.value));
+        case 'GeoPoint':
+            return datastore.geoPoint(value.value);
+        case 'Object':
+            return mapObject(value.value, deserializeValue, datastore);
+        default:
+            return mapObject(value, deserializeValue, datastore);
+    }
+};
+
+module.exports = {
+    serialize,
+    deserialize,
+};
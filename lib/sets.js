@@ -0,0 +1,231 @@
+'use strict';
+
+const arrify = require('arrify');
+
+/**
+ * Number of cache keys in the memory Sets from which they are pruned
+ */
+const PRUNE_THRESHOLD = 1000;
+
+/**
+ * Sets of cache keys (ex: all the queries of an Entity Kind) to be able
+ * to remove from the cache all the keys of a Set at once.
+ * When a Redis Client is present, the Sets are saved in Redis, otherwise they are kept in memory.
+ * The names of the Sets that are not an Entity Kind start with "__" (ex: "__namespace__:<namespace>"):
+ * the Entity Kinds starting with "__" are reserved by the Datastore so they never collide.
+ */
+module.exports = cache => {
+    /**
+     * When there is no Redis Client, the Sets are kept in memory,
+     * mapping each Set key to the cache keys added to it
+     * (and each cache key to the Sets keys it was added to).
+     * So they don't grow forever, the cache keys expired or evicted from the stores
+     * are regularly pruned from the Sets (see "prune()" below).
+     */
+    const memorySets = {};
+    const membersSets = new Map();
+    let pruneThreshold = PRUNE_THRESHOLD;
+    let addedWhilePruning;
+
+    const removeFromMemory = member => {
+        membersSets.get(member).forEach(setKey => {
+            memorySets[setKey].delete(member);
+            if (memorySets[setKey].size === 0) {
+                delete memorySets[setKey];
+            }
+        });
+        membersSets.delete(member);
+    };
+
+    /**
+     * Get the keys of the cache stores (except Redis).
+     * Resolves with "undefined" if a store can't list its keys.
+     */
+    const getStoresKeys = () => {
+        const caches = cache.config.stores.length > 1 ? cache.config.stores : [cache.cacheManager];
+        const stores = caches.map(c => c.store).filter(store => store.name !== 'redis');
+
+        if (stores.some(store => typeof store.keys !== 'function')) {
+            return Promise.resolve(undefined);
+        }
+
+        return Promise.all(
+            stores.map(
+                store =>
+                    new Promise((resolve, reject) => {
+                        store.keys((err, keys) => {
+                            if (err) {
+                                return reject(err);
+                            }
+                            return resolve(keys);
+                        });
+                    })
+            )
+        ).then(storesKeys => new Set([].concat(...storesKeys)));
+    };
+
+    /**
+     * Remove from the memory Sets the cache keys that are not in the stores anymore.
+     * The cache keys added while the stores keys are read are kept.
+     * The next pruning occurs once the number of cache keys has doubled.
+     */
+    const prune = () => {
+        addedWhilePruning = new Set();
+
+        return getStoresKeys()
+            .then(storesKeys => {
+                if (!storesKeys) {
+                    return;
+                }
+                membersSets.forEach((setsKeys, member) => {
+                    if (!storesKeys.has(member) && !addedWhilePruning.has(member)) {
+                        removeFromMemory(member);
+                    }
+                });
+            })
+            .catch(() => {})
+            .then(() => {
+                addedWhilePruning = undefined;
+                pruneThreshold = Math.max(PRUNE_THRESHOLD, membersSets.size * 2);
+            });
+    };
+
+    const addToMemory = (setsKeys, members) => {
+        setsKeys.forEach(setKey => {
+            memorySets[setKey] = memorySets[setKey] || new Set();
+            members.forEach(member => {
+                memorySets[setKey].add(member);
+                if (!membersSets.has(member)) {
+                    membersSets.set(member, new Set());
+                }
+                membersSets.get(member).add(setKey);
+            });
+        });
+
+        if (addedWhilePruning) {
+            members.forEach(member => addedWhilePruning.add(member));
+        } else if (membersSets.size > pruneThreshold) {
+            prune();
+        }
+    };
+
+    /**
+     * Add one or multiple cache keys to one or multiple Sets
+     * @param {number} ttl (optional) The ttl (seconds) of the Redis Sets, reset on each add
+     */
+    const add = (_setsKeys, _members, ttl) =>
+        new Promise((resolve, reject) => {
+            const setsKeys = arrify(_setsKeys);
+            const members = arrify(_members);
+
+            if (setsKeys.length === 0 || members.length === 0) {
+                return resolve();
+            }
+
+            const redisClient = cache.activeRedisClient;
+
+            if (!redisClient) {
+                addToMemory(setsKeys, members);
+                return resolve();
+            }
+
+            const commands = setsKeys.map(setKey => ['sadd', setKey, ...members]);
+            if (ttl) {
+                setsKeys.forEach(setKey => commands.push(['expire', setKey, ttl]));
+            }
+
+            const start = Date.now();
+            return redisClient.multi(commands).exec((err, response) => {
+                if (err) {
+                    cache.onStoreError(err, 'redis');
+                    return reject(err);
+                }
+                cache.onStoreResponse('redis', Date.now() - start);
+                return resolve(response);
+            });
+        });
+
+    /**
+     * Remove one or multiple Sets from memory and return their cache keys.
+     * The keys are removed from all the Sets they were added to.
+     */
+    const takeFromMemory = setsKeys => {
+        const keys = new Set();
+        setsKeys.forEach(setKey => {
+            if (memorySets[setKey]) {
+                memorySets[setKey].forEach(key => keys.add(key));
+            }
+        });
+        keys.forEach(removeFromMemory);
+        return Array.from(keys);
+    };
+
+    /**
+     * Remove from the cache all the keys of one or multiple Sets,
+     * along with the Sets themselves.
+     * @param {Array<string>} _setsKeys The Sets keys
+     * @param {Object} redisClient (optional) The Redis client (default to the active Redis client)
+     */
+    const clear = (_setsKeys, redisClient = cache.activeRedisClient) =>
+        new Promise((resolve, reject) => {
+            const setsKeys = arrify(_setsKeys);
+            const memoryKeys = takeFromMemory(setsKeys);
+
+            if (!redisClient) {
+                if (cache.redisClient) {
+                    // Redis is skipped by the circuit breaker, its Sets will be cleared once it recovers
+                    cache.skipRedis({ sets: setsKeys });
+                }
+
+                if (memoryKeys.length === 0) {
+                    return resolve(0);
+                }
+
+                return cache.del(memoryKeys, errDel => {
+                    if (errDel) {
+                        return reject(errDel);
+                    }
+                    return resolve(memoryKeys.length);
+                });
+            }
+
+            const start = Date.now();
+            const commands = [...setsKeys.map(set => ['smembers', set])];
+            return redisClient.multi(commands).exec((err, response) => {
+                if (err) {
+                    cache.onStoreError(err, 'redis');
+                    return reject(err);
+                }
+
+                const setsMembers = response.reduce((acc, members) => {
+                    if (members === null) {
+                        return acc;
+                    }
+                    return [...acc, ...members];
+                }, []);
+                const keysToDelete = new Set([...setsMembers, ...setsKeys]);
+
+                return redisClient.del(Array.from(keysToDelete), (errDel, res) => {
+                    if (errDel) {
+                        cache.onStoreError(errDel, 'redis');
+                        return reject(errDel);
+                    }
+                    cache.onStoreResponse('redis', Date.now() - start);
+
+                    // The keys can also be saved in the other stores (ex: memory LRU), along with
+                    // the keys saved while Redis was skipped by the circuit breaker (kept in memory Sets)
+                    const otherStoresKeys = Array.from(new Set([...setsMembers, ...memoryKeys]));
+                    if (cache.cacheManagerNoRedis && otherStoresKeys.length > 0) {
+                        return cache.cacheManagerNoRedis.del(otherStoresKeys, () => resolve(res));
+                    }
+                    return resolve(res);
+                });
+            });
+        });
+
+    return {
+        add,
+        addToMemory,
+        clear,
+    };
+};
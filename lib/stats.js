@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Statistics of the cache: hits, misses, fetches (with their latency), errors and invalidations
+ * of the keys and the queries, broken down by Entity Kind, and the hits, misses and errors of each store.
+ */
+
+/**
+ * Upper bounds (in ms) of the buckets of the fetch latency histograms
+ */
+const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+const COUNTERS = ['hits', 'misses', 'partialHits', 'fetches', 'errors', 'invalidations'];
+
+const WRAPPED = Symbol('gstoreCacheStats');
+
+const createHistogram = () => ({
+    // Cumulative counts of the values less than or equal to each bucket
+    buckets: [...LATENCY_BUCKETS, '+Inf'].reduce((acc, bucket) => Object.assign(acc, { [bucket]: 0 }), {}),
+    count: 0,
+    sum: 0,
+});
+
+const createCounters = () =>
+    COUNTERS.reduce((acc, counter) => Object.assign(acc, { [counter]: 0 }), { fetchLatency: createHistogram() });
+
+const createStats = () => ({
+    keys: Object.assign(createCounters(), { kinds: {} }),
+    queries: Object.assign(createCounters(), { kinds: {} }),
+    stores: {},
+});
+
+/**
+ * Add a value to a histogram and return the new histogram
+ */
+const observe = (histogram, value) => ({
+    buckets: Object.keys(histogram.buckets).reduce((acc, bucket) => {
+        const inBucket = bucket === '+Inf' || value <= Number(bucket);
+        return Object.assign(acc, { [bucket]: histogram.buckets[bucket] + (inBucket ? 1 : 0) });
+    }, {}),
+    count: histogram.count + 1,
+    sum: histogram.sum + value,
+});
+
+const isHit = value => typeof value !== 'undefined' && value !== null;
+
+/**
+ * Wrap a method of a store (callback or Promise)
+ * to pass the values it returns to a handler, and its errors to another.
+ */
+const wrapMethod = (target, method, onResult, onError) => {
+    const fn = target[method];
+
+    if (typeof fn !== 'function' || fn[WRAPPED]) {
+        return;
+    }
+
+    const wrapped = function statsWrapper(...args) {
+        if (typeof args[args.length - 1] === 'function') {
+            const cb = args.pop();
+            return fn.call(this, ...args, (err, result) => {
+                if (err) {
+                    onError(err);
+                } else {
+                    onResult(result);
+                }
+                return cb(err, result);
+            });
+        }
+
+        const response = fn.apply(this, args);
+        if (response && typeof response.then === 'function') {
+            return response.then(
+                result => {
+                    onResult(result);
+                    return result;
+                },
+                err => {
+                    onError(err);
+                    throw err;
+                }
+            );
+        }
+        return response;
+    };
+    wrapped[WRAPPED] = true;
+    target[method] = wrapped; // eslint-disable-line no-param-reassign
+};
+
+module.exports = () => {
+    let stats = createStats();
+
+    const getKindCounters = (type, kind) => {
+        stats[type].kinds[kind] = stats[type].kinds[kind] || createCounters();
+        return stats[type].kinds[kind];
+    };
+
+    const getStoreCounters = storeName => {
+        stats.stores[storeName] = stats.stores[storeName] || { hits: 0, misses: 0, errors: 0 };
+        return stats.stores[storeName];
+    };
+
+    /**
+     * Increment a counter of a type ("keys" or "queries") and of each of the Entity Kinds concerned
+     * @param {Array<string>} kinds The Entity Kinds concerned
+     */
+    const record = (type, counter, kinds = []) => {
+        stats[type][counter] += 1;
+        kinds.filter((kind, i) => kind && kinds.indexOf(kind) === i).forEach(kind => {
+            getKindCounters(type, kind)[counter] += 1;
+        });
+    };
+
+    return {
+        hit: (type, kinds) => record(type, 'hits', kinds),
+        miss: (type, kinds) => record(type, 'misses', kinds),
+        partialHit: (type, kinds) => record(type, 'partialHits', kinds),
+        error: (type, kinds) => record(type, 'errors', kinds),
+        invalidation: (type, kinds) => record(type, 'invalidations', kinds),
+
+        /**
+         * Count a fetch (keys fetchHandler or query run) and observe its duration (in ms)
+         */
+        fetch: (type, kinds = [], duration) => {
+            record(type, 'fetches', kinds);
+            stats[type].fetchLatency = observe(stats[type].fetchLatency, duration);
+            kinds.filter((kind, i) => kind && kinds.indexOf(kind) === i).forEach(kind => {
+                const counters = getKindCounters(type, kind);
+                counters.fetchLatency = observe(counters.fetchLatency, duration);
+            });
+        },
+
+        /**
+         * Count an error of a store (ex: a Redis command error)
+         */
+        storeError: storeName => {
+            getStoreCounters(storeName).errors += 1;
+        },
+
+        /**
+         * Count the hits and misses of a store by wrapping its "get" and "mget" methods,
+         * and the errors of those methods and of its "set", "mset" and "del" methods
+         * @param {Object} target The store (or the cache-manager instance of the store)
+         * @param {string} storeName The name of the store
+         * @param {Function} onError (optional) Handler of the errors, in place of counting them
+         */
+        watchStore: (target, storeName, onError) => {
+            const onValue = value => {
+                getStoreCounters(storeName)[isHit(value) ? 'hits' : 'misses'] += 1;
+            };
+            const countError = () => {
+                getStoreCounters(storeName).errors += 1;
+            };
+            const onStoreError = onError || countError;
+            wrapMethod(target, 'get', onValue, onStoreError);
+            wrapMethod(
+                target,
+                'mget',
+                values => (Array.isArray(values) ? values : [values]).forEach(onValue),
+                onStoreError
+            );
+            ['set', 'mset', 'del'].forEach(method => wrapMethod(target, method, () => {}, onStoreError));
+        },
+
+        /**
+         * Return a copy of the statistics
+         */
+        get: () => JSON.parse(JSON.stringify(stats)),
+
+        reset: () => {
+            stats = createStats();
+        },
+    };
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const arrify = require('arrify');
+
+/**
+ * Tracing of the cache operations with the OpenTelemetry Tracer of the config ("config.tracer").
+ * The operations run in an *active* span so the context is propagated to the fetchHandler
+ * (and to the spans it creates).
+ */
+const SPAN_STATUS_ERROR = 2; // "SpanStatusCode.ERROR" of @opentelemetry/api
+
+const ATTRIBUTES_PREFIX = 'gstore_cache.';
+
+const isHit = value => typeof value !== 'undefined' && value !== null;
+
+/**
+ * Set attributes on a span, prefixed with "gstore_cache."
+ * The undefined values are ignored. The span is optional (no tracer).
+ */
+const setAttributes = (span, attributes) => {
+    if (!span) {
+        return;
+    }
+    Object.keys(attributes)
+        .filter(name => typeof attributes[name] !== 'undefined')
+        .forEach(name => span.setAttribute(ATTRIBUTES_PREFIX + name, attributes[name]));
+};
+
+const endSpan = (span, error) => {
+    if (error) {
+        span.recordException(error);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+    }
+    span.end();
+};
+
+/**
+ * Attributes of the cache-manager methods calls (number of keys and hits)
+ */
+const methodsAttributes = {
+    get: (args, result) => ({ keys: 1, hit: isHit(result) }),
+    mget: (args, result) => {
+        const keys = args.filter(arg => typeof arg === 'string');
+        return { keys: keys.length, hits: arrify(result).filter(isHit).length };
+    },
+    set: () => ({ keys: 1 }),
+    mset: args => ({ keys: Math.floor(args.length / 2) }),
+    del: args => ({ keys: arrify(args[0]).length }),
+};
+
+module.exports = cache => {
+    /**
+     * Run a cache operation in a span, if there is a tracer in the config.
+     * @param {string} name The name of the operation (ex: "keys.read")
+     * @param {Object} attributes The attributes of the span
+     * @param {Function} fn The operation. It receives the span (or "undefined" without tracer) and returns a Promise.
+     */
+    const trace = (name, attributes, fn) => {
+        const { tracer } = cache.config;
+
+        if (!tracer) {
+            return fn();
+        }
+
+        return tracer.startActiveSpan(`gstore-cache.${name}`, span => {
+            setAttributes(span, Object.assign({ stores: cache.storesNames }, attributes));
+
+            let response;
+            try {
+                response = fn(span);
+            } catch (error) {
+                endSpan(span, error);
+                throw error;
+            }
+
+            return Promise.resolve(response).then(
+                result => {
+                    endSpan(span);
+                    return result;
+                },
+                error => {
+                    endSpan(span, error);
+                    throw error;
+                }
+            );
+        });
+    };
+
+    /**
+     * Wrap a cache-manager method ("get", "mget", "set", "mset" or "del") in a span.
+     * The method can still be called with a callback.
+     */
+    const wrap = (method, fn) =>
+        function tracedMethod(...args) {
+            const cb = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+            const response = trace(method, {}, span =>
+                fn(...args).then(result => {
+                    setAttributes(span, methodsAttributes[method](args, result));
+                    return result;
+                })
+            );
+
+            if (cb) {
+                return response.then(result => cb(null, result), cb);
+            }
+            return response;
+        };
+
+    return {
+        trace,
+        wrap,
+        setAttributes,
+    };
+};
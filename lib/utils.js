@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const ds = require('@google-cloud/datastore')();
 
 // ----------------------------------------------------
@@ -43,22 +44,111 @@ const hashString = str => {
     return hash >>> 0;
 };
 
+/**
+ * Wide (256-bit) hash function
+ */
+const sha256 = str =>
+    crypto
+        .createHash('sha256')
+        .update(str)
+        .digest('hex');
+
 // ----------------------------------------------------
 // Datastore
 // ----------------------------------------------------
 
+/**
+ * Get the list of the Keys of a Key path
+ * starting with the Key itself and finishing with its root ancestor.
+ * @param {Datastore.Key} key The Google Datastore Key
+ */
+const getKeyPath = key => (key.parent ? [key, ...getKeyPath(key.parent)] : [key]);
+
+/**
+ * Rebuild a Datastore Key from a Key converted to a plain object (ex: a Key saved in JSON).
+ * The parent chain is used to distinguish the numeric ids (returned as strings by the Datastore) from the names.
+ * @param {Object} object The Key converted to an object
+ * @param {Datastore} datastore (optional) The Datastore instance to create the Key
+ */
+const dsKeyFromObject = (object, datastore = ds) => {
+    if (datastore.isKey(object) || (!object.kind && !Array.isArray(object.path))) {
+        // Already a Key, or not an object converted from a Key
+        return object;
+    }
+
+    const toPath = k => {
+        const path = k.parent ? toPath(k.parent) : [];
+        if (typeof k.id !== 'undefined' && k.id !== null) {
+            return [...path, k.kind, typeof k.id === 'number' ? k.id : datastore.int(k.id)];
+        }
+        if (typeof k.name !== 'undefined' && k.name !== null) {
+            return [...path, k.kind, k.name];
+        }
+        return [...path, k.kind];
+    };
+
+    return datastore.key({
+        namespace: object.namespace || undefined,
+        path: object.kind ? toPath(object) : [...object.path],
+    });
+};
+
+/**
+ * Keys encodings to convert a Datastore Key to a string id
+ * - "legacy": concatenates the namespace and the key path and uses a 32-bit hash.
+ *   Different Keys can end up with the same id (ex: ['Task', 12] and ['Task1', 2])
+ * - "safe": escapes each part of the Key, distinguishes numeric ids from names and uses a sha256 hash.
+ */
+const KEY_ENCODINGS = {
+    LEGACY: 'legacy',
+    SAFE: 'safe',
+};
+
+/**
+ * Escape a Key part so it can't be confused with the separators
+ */
+const escapeKeyPart = part => encodeURIComponent(String(part));
+
+const legacyKeyToString = key => (key.namespace || '') + key.path.join('');
+
+const safeKeyToString = key => {
+    const path = getKeyPath(key)
+        .reverse()
+        .map(k => {
+            const kind = escapeKeyPart(k.kind);
+            if (typeof k.id !== 'undefined') {
+                return `${kind}:i${escapeKeyPart(k.id)}`;
+            }
+            if (typeof k.name !== 'undefined') {
+                return `${kind}:n${escapeKeyPart(k.name)}`;
+            }
+            return kind;
+        });
+    return [escapeKeyPart(key.namespace || ''), ...path].join('/');
+};
+
 /**
  * Convert a Google Datastore Key to a unique string id
  * It concatenates the namespace with the key path Array
  * @param {Datastore.Key} key The Google Datastore Key
+ * @param {Object} options "hash" (default: true) and "encoding" ("legacy" or "safe", default: "legacy")
  */
-const dsKeyToString = (key, options = { hash: true }) => {
+const dsKeyToString = (key, options = {}) => {
     if (typeof key === 'undefined') {
         throw new Error('Key cannot be undefined.');
     }
-    let id = key.namespace || '';
-    id += key.path.join('');
-    return options.hash ? hashString(id) : id;
+    const { hash = true, encoding = KEY_ENCODINGS.LEGACY } = options;
+
+    if (encoding === KEY_ENCODINGS.SAFE) {
+        const id = safeKeyToString(key);
+        return hash ? sha256(id) : id;
+    }
+    if (encoding !== KEY_ENCODINGS.LEGACY) {
+        throw new Error(`Unknown key encoding "${encoding}".`);
+    }
+
+    const id = legacyKeyToString(key);
+    return hash ? hashString(id) : id;
 };
 
 /**
@@ -98,12 +188,156 @@ const dsQueryToString = (query, options = { hash: true }) => {
     return options.hash ? hashString(str) : str;
 };
 
+/**
+ * Convert a query filter value to a canonical representation tagged with its type,
+ * so values of different types never end up with the same representation
+ * (ex: the Date "2018-01-01" and the string "2018-01-01").
+ * JS integers and Datastore Int are tagged the same as the Datastore saves them the same.
+ */
+const tagValue = value => {
+    if (value === null || typeof value === 'undefined') {
+        return ['null'];
+    }
+    if (ds.isKey(value)) {
+        return ['key', dsKeyToString(value, { hash: false, encoding: KEY_ENCODINGS.SAFE })];
+    }
+    if (ds.isInt(value)) {
+        return ['int', String(value.value)];
+    }
+    if (ds.isDouble(value)) {
+        return ['double', String(value.value)];
+    }
+    if (ds.isGeoPoint(value)) {
+        return ['geo', value.value.latitude, value.value.longitude];
+    }
+    if (value instanceof Date) {
+        return ['date', value.getTime()];
+    }
+    if (Buffer.isBuffer(value)) {
+        return ['buffer', value.toString('base64')];
+    }
+    if (Array.isArray(value)) {
+        return ['array', value.map(tagValue)];
+    }
+    if (typeof value === 'number') {
+        return [Number.isInteger(value) ? 'int' : 'double', String(value)];
+    }
+    if (typeof value === 'object') {
+        return [
+            'object',
+            Object.keys(value)
+                .sort()
+                .map(k => [k, tagValue(value[k])]),
+        ];
+    }
+    return [typeof value, value];
+};
+
+const compareJSON = (a, b) => {
+    const strA = JSON.stringify(a);
+    const strB = JSON.stringify(b);
+    if (strA === strB) {
+        return 0;
+    }
+    return strA < strB ? -1 : 1;
+};
+
+/**
+ * Create a canonical fingerprint of a Google Datastore Query.
+ * Two queries returning the same entities have the same fingerprint:
+ * - the filter values are tagged with their type
+ * - the filters are sorted (they are all combined with "AND")
+ * - the projection and "distinct on" properties are sorted
+ * - the project id (and the transaction id) of the query scope are included
+ * @param {Datastore.Query} query The Google Datastore query
+ * @param {Object} options "hash" (default: true) to hash the fingerprint with sha256
+ */
+const queryFingerprint = (query, options = {}) => {
+    const { hash = true } = options;
+    const scope = query.scope || {};
+
+    const fingerprint = JSON.stringify([
+        scope.projectId || null,
+        scope.id || null, // Transaction id
+        query.namespace || '',
+        query.kinds,
+        query.filters.map(filter => [filter.name, filter.op, tagValue(filter.val)]).sort(compareJSON),
+        query.orders.map(order => [order.name, order.sign]),
+        [...query.groupByVal].sort(),
+        [...query.selectVal].sort(),
+        query.limitVal,
+        query.offsetVal,
+        tagValue(query.startVal),
+        tagValue(query.endVal),
+    ]);
+
+    return hash ? sha256(fingerprint) : fingerprint;
+};
+
+/**
+ * Convert a Datastore property value to a string.
+ * Used to compare the values of the query filters with the values of the entities,
+ * so the Datastore types (Int, Double, Key...) are converted to the same string
+ * as their native JS values.
+ */
+const dsValueToString = value => {
+    if (ds.isKey(value)) {
+        return dsKeyToString(value, { hash: false });
+    }
+    if (ds.isInt(value) || ds.isDouble(value)) {
+        return String(value.value);
+    }
+    if (ds.isGeoPoint(value)) {
+        return JSON.stringify(value.value);
+    }
+    if (value instanceof Date) {
+        return String(value.getTime());
+    }
+    if (Buffer.isBuffer(value)) {
+        return value.toString('base64');
+    }
+    if (value !== null && typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return String(value);
+};
+
+/**
+ * Get the ancestor Key of a Query filtered with "hasAncestor()"
+ * @param {Datastore.Query} query The Google Datastore query
+ * @returns {Datastore.Key} the ancestor Key or undefined
+ */
+const getQueryAncestor = query => {
+    const filter = query.filters.find(f => f.name === '__key__' && f.op === 'HAS_ANCESTOR');
+    return filter && filter.val;
+};
+
 // ----------------------------------------------------
 // Misc
 // ----------------------------------------------------
 
 const isObject = value => value instanceof Object && value.constructor === Object;
 
+/**
+ * Convert a ttl object mapping the stores to a function called by the cache-manager for each store.
+ * The stores missing in the object use the ttl of the "fallback" function (if provided).
+ */
+const storesTTL = (ttl, fallback) => {
+    const stores = Object.assign({}, ttl);
+    return (data, storeName) => {
+        if (typeof stores[storeName] === 'undefined' && fallback) {
+            return fallback(data, storeName);
+        }
+        return stores[storeName];
+    };
+};
+
+/**
+ * Check if an Entity Kind has its own ttl in the config.
+ * The keys and queries of those Kinds are saved separately from the others.
+ */
+const hasKindTTL = (cache, kind) => Boolean(kind && cache.config.ttl.kinds && cache.config.ttl.kinds[kind]);
+
 /**
  * Get the ttl value for a cache type (Keys or Queries)
  * If options.ttl is defined, it takes over. Otherwise
@@ -111,7 +345,7 @@ const isObject = value => value instanceof Object && value.constructor === Objec
  * For multi-store, a function is returned so the ttl can
  * be calculated dynamically for each store.
  */
-const getTTL = (cache, options, type) => {
+const getBaseTTL = (cache, options, type, kind) => {
     if (options && options.ttl) {
         /**
          * options takes over the cache config
@@ -122,31 +356,251 @@ const getTTL = (cache, options, type) => {
              * be an object mapping the stores
              * ex: { memory: 600, redis: 900 }
              */
-            const stores = Object.assign({}, options.ttl);
-            return (data, storeName) => stores[storeName];
+            return storesTTL(options.ttl);
         }
         return options.ttl;
     }
 
-    if (cache.config.stores.length > 1) {
-        return (data, storeName) => cache.config.ttl.stores[storeName][type];
+    const multiStores = cache.config.stores.length > 1;
+    const defaultTTL = multiStores
+        ? (data, storeName) => cache.config.ttl.stores[storeName][type]
+        : cache.config.ttl[type];
+
+    /**
+     * The Entity Kind ttl takes over the type ttl.
+     * It can be a number for all the stores or an object mapping the stores
+     * ex: { kinds: { Session: { keys: 30, queries: { memory: 5, redis: 10 } } } }
+     */
+    const kindTTL = hasKindTTL(cache, kind) ? cache.config.ttl.kinds[kind][type] : undefined;
+
+    if (typeof kindTTL === 'undefined') {
+        return defaultTTL;
+    }
+    if (isObject(kindTTL)) {
+        return storesTTL(kindTTL, multiStores ? defaultTTL : () => defaultTTL);
+    }
+    return kindTTL;
+};
+
+/**
+ * Get the maximum number of seconds of jitter added to a ttl.
+ * The jitter is a maximum number of seconds (ex: 30) or a percentage of the ttl (ex: '10%').
+ */
+const getMaxJitter = (ttl, jitter) => {
+    const isPercentage = typeof jitter === 'string' && jitter.trim().endsWith('%');
+    const ratio = parseFloat(jitter) / 100;
+    return isPercentage ? ttl * ratio : Number(jitter);
+};
+
+/**
+ * Add a random number of seconds to a ttl so the keys written at the same time don't all expire together.
+ * An infinite ttl ("0") is left untouched.
+ */
+const addJitter = (ttl, jitter) => {
+    if (!ttl || !jitter) {
+        return ttl;
+    }
+    return ttl + Math.round(Math.random() * getMaxJitter(ttl, jitter));
+};
+
+/**
+ * Get the ttl of a cache write, with the jitter of the config ("ttl.jitter") added.
+ * For multi-stores, the jitter is added each time the ttl function is called.
+ */
+const getTTL = (cache, options, type, kind) => {
+    const ttl = getBaseTTL(cache, options, type, kind);
+    const { jitter } = cache.config.ttl;
+
+    if (!jitter) {
+        return ttl;
+    }
+    if (typeof ttl === 'function') {
+        return (data, storeName) => addJitter(ttl(data, storeName), jitter);
+    }
+    return addJitter(ttl, jitter);
+};
+
+/**
+ * Get the longest ttl (in seconds) of a cache write in a store, with the maximum jitter of the config.
+ */
+const getMaxTTL = (cache, options, type, kind, storeName) => {
+    const baseTTL = getBaseTTL(cache, options, type, kind);
+    const ttl = typeof baseTTL === 'function' ? baseTTL(null, storeName) : baseTTL;
+    const { jitter } = cache.config.ttl;
+
+    if (!ttl || !jitter) {
+        return ttl;
+    }
+    return ttl + Math.ceil(getMaxJitter(ttl, jitter));
+};
+
+/**
+ * Get the shortest ttl (in seconds) from a ttl value.
+ * For multi-stores, the ttl function is called for each of the stores
+ * and "0" (infinite) is returned only if all the stores have an infinite ttl.
+ */
+const getMinTTL = (cache, ttl) => {
+    if (typeof ttl !== 'function') {
+        return ttl;
+    }
+
+    const storesNames =
+        cache.config.stores.length > 1 ? cache.config.stores.map(c => c.store.name) : [cache.cacheManager.store.name];
+    const values = storesNames.map(storeName => ttl(null, storeName)).filter(value => value > 0);
+
+    return values.length > 0 ? Math.min(...values) : 0;
+};
+
+/**
+ * Add some seconds to a ttl value (or to the function returned for multi-stores).
+ * An infinite ttl ("0") is left untouched.
+ */
+const extendTTL = (ttl, seconds) => {
+    if (typeof ttl === 'function') {
+        return (data, storeName) => extendTTL(ttl(data, storeName), seconds);
     }
-    return cache.config.ttl[type];
+    return ttl ? ttl + seconds : ttl;
+};
+
+// ----------------------------------------------------
+// Versions
+// ----------------------------------------------------
+
+/**
+ * Get the prefix of the cache keys from the global version and the version
+ * of an Entity Kind in the config. Changing a version makes all the keys
+ * saved with the previous version unreachable.
+ * No prefix is added when the versions are not set, so the keys stay the same.
+ * ex: "v2:k3:" for the global version 2 and the Entity Kind version 3
+ */
+const getVersionPrefix = (config, kind) => {
+    let prefix = config.version ? `v${config.version}:` : '';
+    const kindVersion = kind && config.kindVersions && config.kindVersions[kind];
+    if (kindVersion) {
+        prefix += `k${kindVersion}:`;
+    }
+    return prefix;
+};
+
+// ----------------------------------------------------
+// Cache entries
+// ----------------------------------------------------
+
+/**
+ * Wrap a value with metadata before saving it in the cache
+ * ex: { __gcMeta__: { expires: 1520598000000, delta: 120 }, __gcValue__: {...} }
+ * - expires: the expiration date (in ms) of the value
+ * - delta: the time (in ms) it took to fetch the value
+ */
+const createEntry = (value, meta) => ({ __gcMeta__: meta, __gcValue__: value });
+
+const isEntry = value => isObject(value) && isObject(value.__gcMeta__) && '__gcValue__' in value;
+
+/**
+ * Return the value from a cache entry.
+ * Values that were cached without metadata are returned as is.
+ */
+const entryValue = value => (isEntry(value) ? value.__gcValue__ : value);
+
+/**
+ * Check if a cache entry has passed its expiration date.
+ * It is then still in the cache but has to be refreshed.
+ */
+const isStale = value =>
+    isEntry(value) && value.__gcMeta__.expires !== undefined && value.__gcMeta__.expires < Date.now();
+
+/**
+ * Probabilistic early expiration ("XFetch").
+ * The closer a value is to its expiration date, and the longer it took to fetch it,
+ * the higher the probability is to refresh it *before* it expires.
+ * @param {*} value The value read from the cache
+ * @param {boolean|number} earlyRefresh The "earlyRefresh" option: "true" or a number ("beta")
+ * where values greater than 1 favor earlier refreshes.
+ */
+const isEarlyRefresh = (value, earlyRefresh) => {
+    if (!earlyRefresh || !isEntry(value)) {
+        return false;
+    }
+    const { expires, delta } = value.__gcMeta__;
+    if (expires === undefined || delta === undefined) {
+        return false;
+    }
+    const beta = earlyRefresh === true ? 1 : earlyRefresh;
+    const gap = delta * beta * Math.log(Math.random());
+    return Date.now() - gap >= expires;
+};
+
+/**
+ * Marker saved in the cache for the keys not found in the Datastore ("negative cache")
+ */
+const NOT_FOUND = { __gcNotFound__: true };
+
+const isNotFound = value => isObject(value) && value.__gcNotFound__ === true;
+
+/**
+ * Prepare the values to be saved in the cache for the "stale-while-revalidate" and "earlyRefresh" modes.
+ * The values are wrapped with their expiration date (and the metadata passed, ex: the fetch duration).
+ * In "stale-while-revalidate" mode the ttl is extended with the stale period, during which
+ * the expired values are still in the cache and can be served while being refreshed.
+ * If both modes are off (or the ttl is infinite) the values and options are returned untouched.
+ *
+ * @returns {Array} the values and the options to save them in the cache
+ */
+const prepareEntries = (cache, values, options, meta = {}) => {
+    const ttl = getMinTTL(cache, options.ttl);
+
+    if ((!options.staleWhileRevalidate && !options.earlyRefresh) || !ttl) {
+        return [values, options];
+    }
+
+    const ttlMs = ttl * 1000;
+    const entryMeta = Object.assign({}, meta, { expires: Date.now() + ttlMs });
+    const entries = values.map(value => (typeof value === 'undefined' ? value : createEntry(value, entryMeta)));
+
+    if (!options.staleWhileRevalidate) {
+        return [entries, options];
+    }
+    return [entries, Object.assign({}, options, { ttl: extendTTL(options.ttl, options.staleWhileRevalidate) })];
 };
 
 module.exports = {
     datastore: {
+        KEY_ENCODINGS,
         dsKeyToString,
+        dsKeyFromObject,
         dsQueryToString,
+        queryFingerprint,
+        dsValueToString,
+        getQueryAncestor,
+        getKeyPath,
     },
     string: {
         random: randomString,
         hash: hashString,
+        sha256,
     },
     is: {
         object: isObject,
     },
+    version: {
+        prefix: getVersionPrefix,
+    },
     ttl: {
         getTTL,
+        hasKindTTL,
+        addJitter,
+        getMaxTTL,
+        getMinTTL,
+        extendTTL,
+    },
+    entry: {
+        create: createEntry,
+        is: isEntry,
+        value: entryValue,
+        isStale,
+        isEarlyRefresh,
+        prepare: prepareEntries,
+        NOT_FOUND,
+        isNotFound,
     },
 };
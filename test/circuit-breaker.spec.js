@@ -0,0 +1,233 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+const createCircuitBreaker = require('../lib/circuit-breaker');
+
+const { expect } = chai;
+
+describe('circuitBreaker', () => {
+    let breaker;
+    let onStateChange;
+    let clock;
+
+    const states = () => onStateChange.args.map(args => args[0].state);
+    const flush = () => new Promise(resolve => process.nextTick(resolve));
+    const openCircuit = () => {
+        breaker.failure();
+        breaker.failure();
+    };
+
+    beforeEach(() => {
+        clock = sinon.useFakeTimers(Date.now());
+        onStateChange = sinon.spy();
+        breaker = createCircuitBreaker({ failureThreshold: 2, slowThreshold: 100, cooldown: 1000 }, onStateChange);
+    });
+
+    afterEach(() => {
+        clock.restore();
+    });
+
+    it('should open after consecutive failures or slow responses', () => {
+        breaker.failure();
+        breaker.record(10); // a success resets the failures
+        breaker.failure();
+        expect(breaker.allowRequest()).equal(true);
+
+        breaker.record(150); // slow response
+        expect(breaker.allowRequest()).equal(false);
+        expect(onStateChange.getCall(0).args[0]).deep.equal({ state: 'open', previousState: 'closed' });
+    });
+
+    it('should only allow a single probe when half-open then close or open again', () => {
+        openCircuit();
+
+        clock.tick(1000);
+        expect(breaker.allowRequest()).equal(true);
+        expect(breaker.getState()).equal('halfOpen');
+        expect(breaker.allowRequest()).equal(false);
+
+        breaker.failure();
+        expect(breaker.getState()).equal('open');
+
+        clock.tick(1000);
+        expect(breaker.allowRequest()).equal(true);
+        breaker.record(10);
+        expect(breaker.getState()).equal('closed');
+        expect(breaker.allowRequest()).equal(true);
+        expect(states()).deep.equal(['open', 'halfOpen', 'open', 'halfOpen', 'closed']);
+    });
+
+    it('should open again if the probe does not respond in time', () => {
+        openCircuit();
+        clock.tick(1000);
+        breaker.allowRequest();
+
+        clock.tick(100);
+        expect(breaker.allowRequest()).equal(false);
+        expect(breaker.getState()).equal('open');
+    });
+
+    it('should skip the store methods while open', () => {
+        const get = sinon.stub().resolves('value');
+        const mget = sinon.stub().resolves(['value1', 'value2']);
+        const store = { get, mget, set: (key, value, options, cb) => cb(null, 'OK') };
+        breaker.protect(store);
+        openCircuit();
+
+        const onSet = sinon.spy();
+        store.set('key', 'value', {}, onSet);
+        expect(onSet.getCall(0).args).deep.equal([null, undefined]);
+
+        return Promise.all([store.get('key', {}), store.mget('key1', 'key2', {})]).then(([value, values]) => {
+            expect(value).equal(undefined);
+            expect(values).deep.equal([undefined, undefined]);
+            expect(get.called).equal(false);
+            expect(mget.called).equal(false);
+        });
+    });
+
+    it('should record the response time of the store methods', () => {
+        const store = {
+            get: () => {
+                clock.tick(200);
+                return Promise.resolve('value');
+            },
+        };
+        breaker.protect(store);
+
+        return store
+            .get('key')
+            .then(() => store.get('key'))
+            .then(value => {
+                expect(value).equal('value');
+                expect(breaker.getState()).equal('open');
+            });
+    });
+
+    context('when recovering', () => {
+        let onRecover;
+        let store;
+        let set;
+
+        beforeEach(() => {
+            onRecover = sinon.stub().resolves();
+            breaker = createCircuitBreaker({ failureThreshold: 2, cooldown: 1000 }, onStateChange, onRecover);
+            set = sinon.stub().resolves();
+            store = {
+                set,
+                mset: sinon.stub().resolves(),
+                del: sinon.stub().resolves(),
+            };
+            breaker.protect(store);
+        });
+
+        it('should delete the keys written and the Sets cleared while open before closing', () => {
+            openCircuit();
+
+            return Promise.all([
+                store.set('key1', 'value1', {}),
+                store.mset('key2', 'value2', 'key3', 'value3', {}),
+                store.del(['key1', 'key4']),
+            ])
+                .then(() => {
+                    breaker.skip({ sets: ['gcq:User'] });
+                    clock.tick(1000);
+
+                    // The recovery is the probe
+                    expect(breaker.allowRequest()).equal(false);
+                    expect(breaker.getState()).equal('halfOpen');
+                    return store.set('key5', 'value5');
+                })
+                .then(flush)
+                .then(() => {
+                    expect(onRecover.getCall(0).args[0]).deep.equal({
+                        keys: ['key1', 'key2', 'key3', 'key4'],
+                        sets: ['gcq:User'],
+                    });
+                    // The write skipped during the recovery is deleted as well
+                    expect(onRecover.getCall(1).args[0]).deep.equal({ keys: ['key5'], sets: [] });
+                    expect(set.called).equal(false);
+                    expect(breaker.getState()).equal('closed');
+                });
+        });
+
+        it('should open again and keep the writes if the recovery fails', () => {
+            onRecover.onFirstCall().rejects(new Error('Houston we got a problem'));
+            openCircuit();
+
+            return store
+                .del('key1')
+                .then(() => {
+                    clock.tick(1000);
+                    breaker.allowRequest();
+                })
+                .then(flush)
+                .then(() => {
+                    expect(breaker.getState()).equal('open');
+                    clock.tick(1000);
+                    breaker.allowRequest();
+                })
+                .then(flush)
+                .then(() => {
+                    expect(onRecover.getCall(1).args[0].keys).deep.equal(['key1']);
+                    expect(breaker.getState()).equal('closed');
+                });
+        });
+
+        it('should open again and keep the writes if the recovery does not respond within "slowThreshold"', () => {
+            onRecover.onFirstCall().returns(new Promise(() => {}));
+            openCircuit();
+
+            return store
+                .del('key1')
+                .then(() => {
+                    clock.tick(1000);
+                    breaker.allowRequest();
+                })
+                .then(flush)
+                .then(() => {
+                    expect(breaker.getState()).equal('halfOpen');
+                    clock.tick(1000);
+
+                    expect(breaker.allowRequest()).equal(false);
+                    expect(breaker.getState()).equal('open');
+                    clock.tick(1000);
+                    breaker.allowRequest();
+                })
+                .then(flush)
+                .then(() => {
+                    expect(onRecover.getCall(1).args[0].keys).deep.equal(['key1']);
+                    expect(breaker.getState()).equal('closed');
+                });
+        });
+
+        it('should drop the writes kept past "maxSkippedWrites"', () => {
+            const onOverflow = sinon.spy();
+            breaker = createCircuitBreaker(
+                { failureThreshold: 2, cooldown: 1000, maxSkippedWrites: 2 },
+                onStateChange,
+                onRecover,
+                onOverflow
+            );
+            breaker.protect(store);
+            openCircuit();
+
+            return store
+                .del(['key1', 'key2'])
+                .then(() => {
+                    expect(onOverflow.called).equal(false);
+                    return store.del('key3');
+                })
+                .then(() => {
+                    expect(onOverflow.callCount).equal(1);
+                    clock.tick(1000);
+
+                    // Nothing to recover: the next call is the probe
+                    expect(breaker.allowRequest()).equal(true);
+                    expect(onRecover.called).equal(false);
+                });
+        });
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const zlib = require('zlib');
+const chai = require('chai');
+
+const { compress, decompress, isCompressed } = require('../lib/compression');
+
+const { expect } = chai;
+
+const itBrotli = typeof zlib.brotliCompressSync === 'function' ? it : it.skip;
+
+describe('compression', () => {
+    const value = { name: 'John', tags: new Array(300).fill('tag') };
+
+    it('should not compress when disabled', () => {
+        expect(compress(value, false)).equal(value);
+        expect(compress(value, undefined)).equal(value);
+    });
+
+    it('should compress and decompress with gzip (default)', () => {
+        const gzipped = compress(value, true);
+
+        expect(gzipped.__gcCompressed__).equal('gzip');
+        expect(typeof gzipped.value).equal('string');
+        expect(decompress(JSON.parse(JSON.stringify(gzipped)))).deep.equal(value);
+    });
+
+    itBrotli('should compress and decompress with brotli', () => {
+        const brotli = compress(value, { algorithm: 'brotli' });
+
+        expect(brotli.__gcCompressed__).equal('brotli');
+        expect(decompress(JSON.parse(JSON.stringify(brotli)))).deep.equal(value);
+    });
+
+    it('should only compress the values reaching the threshold', () => {
+        expect(compress({ name: 'John' }, true)).deep.equal({ name: 'John' });
+        expect(isCompressed(compress({ name: 'John' }, { threshold: 10 }))).equal(true);
+        expect(isCompressed(compress(value, { threshold: 100000 }))).equal(false);
+    });
+
+    it('should return the values not compressed untouched', () => {
+        expect(decompress(value)).equal(value);
+        expect(decompress(undefined)).equal(undefined);
+        expect(decompress(null)).equal(null);
+    });
+
+    it('should throw an error if the algorithm is unknown', () => {
+        const fn = () => compress(value, { algorithm: 'zip' });
+        expect(fn).throw('Unknown compression algorithm "zip".');
+    });
+
+    it('should throw an error if brotli is not supported by the Node.js version', () => {
+        const { brotliCompressSync } = zlib;
+        zlib.brotliCompressSync = undefined;
+
+        const fn = () => compress(value, { algorithm: 'brotli' });
+        try {
+            expect(fn).throw('The compression algorithm "brotli" is not supported by Node.js');
+        } finally {
+            zlib.brotliCompressSync = brotliCompressSync;
+        }
+    });
+});
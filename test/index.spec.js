@@ -8,6 +8,7 @@ const ds = require('@google-cloud/datastore')();
 const nodeCacheManager = require('cache-manager');
 
 const gstoreCache = require('../lib');
+const utils = require('../lib/utils');
 const StoreMock = require('./mocks/cache-store');
 
 const { expect, assert } = chai;
@@ -119,6 +120,13 @@ describe('gsCache', () => {
             expect(gsCache2).equal(gsCache);
         });
 
+        it('should throw if the compression algorithm is unknown', () => {
+            gsCache = gstoreCache.init();
+
+            const fn = () => gstoreCache.init({ config: { compression: { keys: { algorithm: 'gzp' } } } });
+            expect(fn).throw('Unknown compression algorithm "gzp".');
+        });
+
         it('should save google datastore instance', () => {
             gsCache = gstoreCache.init({ datastore: ds });
 
@@ -169,6 +177,333 @@ describe('gsCache', () => {
         });
     });
 
+    describe('touch()', () => {
+        it('should save the current values again with their ttl', done => {
+            gsCache = gstoreCache.init({ datastore: ds });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+
+                gsCache
+                    .set('user123', 'Mick Jagger')
+                    .then(() => {
+                        sinon.spy(gsCache.cacheManager, 'mset');
+                        return gsCache.touch(['user123', 'user456'], { ttl: 600 });
+                    })
+                    .then(() => {
+                        const { args } = gsCache.cacheManager.mset.getCall(0);
+                        expect(args.slice(0, 2)).deep.equal(['user123', 'Mick Jagger']);
+                        expect(args[2].ttl).equal(600);
+                        gsCache.cacheManager.mset.restore();
+                        done();
+                    });
+            };
+            gsCache.on('ready', onReady);
+        });
+
+        it('should not save the values again if a key is deleted meanwhile', done => {
+            gsCache = gstoreCache.init({ datastore: ds });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+
+                gsCache.set('user123', 'Mick Jagger').then(() => {
+                    sinon.spy(gsCache.cacheManager, 'mset');
+                    const touched = gsCache.touch(['user123'], { ttl: 600 });
+
+                    return Promise.all([touched, gsCache.del('user456')]).then(() => {
+                        expect(gsCache.cacheManager.mset.called).equal(false);
+                        gsCache.cacheManager.mset.restore();
+                        done();
+                    });
+                });
+            };
+            gsCache.on('ready', onReady);
+        });
+
+        it('should "EXPIRE" the Redis keys and save the values in the other stores', done => {
+            sinon.stub(nodeCacheManager, 'caching').callsFake(store => StoreMock(store));
+            const storesTTL = { memory: 300, redis: 900 };
+
+            gsCache = gstoreCache.init({ config: { stores: ['memory', 'redis'] } });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+                sinon.spy(gsCache.redisClient, 'multi');
+                sinon.stub(gsCache.cacheManagerNoRedis, 'mget').resolves(['Mick', 'John']);
+                sinon.spy(gsCache.cacheManagerNoRedis, 'mset');
+
+                const ttl = (data, storeName) => storesTTL[storeName];
+                gsCache.touch(['user123', 'user456'], { ttl }).then(() => {
+                    const commands = gsCache.redisClient.multi.getCall(0).args[0];
+                    const { args } = gsCache.cacheManagerNoRedis.mset.getCall(0);
+
+                    expect(commands).deep.equal([['expire', 'user123', 900], ['expire', 'user456', 900]]);
+                    expect(args.slice(0, 4)).deep.equal(['user123', 'Mick', 'user456', 'John']);
+                    expect(args[4].ttl).equal(ttl);
+
+                    gsCache.redisClient.multi.restore();
+                    nodeCacheManager.caching.restore();
+                    done();
+                });
+            };
+            gsCache.on('ready', onReady);
+        });
+
+        it('should not "EXPIRE" the Redis keys with an infinite ttl', done => {
+            const redisCache = StoreMock('redis');
+            gsCache = gstoreCache.init({ config: { stores: [redisCache] } });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+                sinon.spy(gsCache.redisClient, 'multi');
+
+                gsCache.touch(['user123'], { ttl: 0 }).then(() => {
+                    expect(gsCache.redisClient.multi.called).equal(false);
+                    gsCache.redisClient.multi.restore();
+                    done();
+                });
+            };
+            gsCache.on('ready', onReady);
+        });
+    });
+
+    describe('stats()', () => {
+        it('should count the hits and misses of each store and reset them', done => {
+            gsCache = gstoreCache.init({ datastore: ds });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+                gsCache.resetStats();
+
+                gsCache
+                    .set('user123', 'Mick')
+                    .then(() => gsCache.get('user123'))
+                    .then(() => gsCache.mget('user123', 'user456'))
+                    .then(() => {
+                        expect(gsCache.stats().stores.memory).deep.equal({ hits: 2, misses: 1, errors: 0 });
+
+                        gsCache.resetStats();
+                        expect(gsCache.stats().stores).deep.equal({});
+                        done();
+                    });
+            };
+            gsCache.on('ready', onReady);
+        });
+    });
+
+    describe('circuit breaker', () => {
+        it('should skip Redis once the circuit is open', done => {
+            const error = new Error('Connection lost');
+            const redisCache = StoreMock('redis', error);
+            const onStateChange = sinon.spy();
+
+            gsCache = gstoreCache.init({
+                config: {
+                    stores: [StoreMock('memory'), redisCache],
+                    circuitBreaker: { failureThreshold: 2 },
+                },
+            });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+                gsCache.on('circuitStateChange', onStateChange);
+                const fail = () => gsCache.get('user123').catch(err => expect(err).equal(error));
+
+                fail()
+                    .then(fail)
+                    .then(() => {
+                        expect(onStateChange.getCall(0).args[0]).deep.equal({
+                            store: 'redis',
+                            state: 'open',
+                            previousState: 'closed',
+                        });
+                        expect(gsCache.activeRedisClient).equal(undefined);
+                        expect(typeof gsCache.redisClient).equal('object');
+
+                        sinon.spy(gsCache.redisClient, 'multi');
+                        return gsCache.get('user123').then(value => {
+                            expect(value).equal(undefined);
+                            return gsCache.queries.kset('query-key', 'value', 'User');
+                        });
+                    })
+                    .then(() => {
+                        expect(gsCache.redisClient.multi.called).equal(false);
+                        gsCache.redisClient.multi.restore();
+                        done();
+                    })
+                    .catch(done);
+            };
+            gsCache.on('ready', onReady);
+        });
+
+        context('when Redis recovers', () => {
+            let clock;
+            let redisStore;
+
+            /**
+             * Redis store saving the values with the Redis client of the mocks, that can be "down"
+             */
+            const RedisStoreMock = client => {
+                const state = { down: false };
+                const respond = (cb, fn) => (state.down ? cb(new Error('Connection lost')) : fn());
+                const store = {
+                    name: 'redis',
+                    getClient: () => client,
+                    get: (key, options, cb) =>
+                        respond(cb, () =>
+                            client.get(key, (err, value) => cb(err, value ? JSON.parse(value) : undefined))
+                        ),
+                    set: (key, value, options, cb) => respond(cb, () => client.set(key, JSON.stringify(value), cb)),
+                    del: (key, options, cb) => respond(cb, () => client.del(key, cb)),
+                    reset: cb => cb(),
+                };
+                return { state, store };
+            };
+
+            beforeEach(ready => {
+                clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+                redisStore = RedisStoreMock(StoreMock('redis').store.getClient());
+
+                gsCache = gstoreCache.init({
+                    config: {
+                        stores: [{ store: 'memory' }, { store: redisStore.store }],
+                        circuitBreaker: { failureThreshold: 1, cooldown: 1000 },
+                    },
+                });
+
+                const onReady = () => {
+                    gsCache.removeAllListeners();
+                    ready();
+                };
+                gsCache.on('ready', onReady);
+            });
+
+            afterEach(() => {
+                clock.restore();
+                gsCache.removeAllListeners();
+            });
+
+            const openCircuit = () => {
+                redisStore.state.down = true;
+                return gsCache.get('unknown').catch(() => {
+                    redisStore.state.down = false;
+                });
+            };
+
+            const onCircuitClosed = () =>
+                new Promise(resolve => {
+                    gsCache.on('circuitStateChange', ({ state }) => {
+                        if (state === 'closed') {
+                            resolve();
+                        }
+                    });
+                });
+
+            it('should delete from Redis the keys deleted while the circuit was open', () =>
+                gsCache
+                    .set('user:1', 'John')
+                    .then(openCircuit)
+                    .then(() => gsCache.del('user:1'))
+                    .then(() => {
+                        clock.tick(1000);
+                        const closed = onCircuitClosed();
+
+                        // Redis is still skipped while the keys are deleted from it
+                        return gsCache.get('user:1').then(value => {
+                            expect(value).equal(undefined);
+                            return closed;
+                        });
+                    })
+                    .then(() => gsCache.get('user:1'))
+                    .then(value => {
+                        expect(value).equal(undefined);
+                    }));
+
+            it('should close the circuit after a successful Redis command', () =>
+                openCircuit().then(() => {
+                    clock.tick(1000);
+                    const closed = onCircuitClosed();
+
+                    sinon.spy(gsCache.redisClient, 'multi');
+                    return gsCache.queries.kset('query-key', 'value', 'User').then(() => {
+                        expect(gsCache.redisClient.multi.callCount).equal(1);
+                        gsCache.redisClient.multi.restore();
+                        return closed;
+                    });
+                }));
+        });
+    });
+
+    describe('bumpVersion()', () => {
+        beforeEach(() => {
+            gsCache = gstoreCache.init();
+        });
+
+        it('should increment the global version', () => {
+            expect(gsCache.bumpVersion()).equal(1);
+            expect(gsCache.bumpVersion()).equal(2);
+            expect(gsCache.config.version).equal(2);
+        });
+
+        it('should increment the version of an Entity Kind', () => {
+            expect(gsCache.bumpVersion('User')).equal(1);
+            expect(gsCache.bumpVersion('User')).equal(2);
+            expect(gsCache.bumpVersion('Post')).equal(1);
+            expect(gsCache.config.kindVersions).deep.equal({ User: 2, Post: 1 });
+            expect(gsCache.config.version).equal(0);
+        });
+    });
+
+    describe('clearNamespace()', () => {
+        const keyA = ds.key({ namespace: 'tenant-a', path: ['User', 123] });
+        const keyB = ds.key({ namespace: 'tenant-b', path: ['User', 123] });
+        const queryA = ds.createQuery('tenant-a', 'User').filter('name', 'john');
+        const queryB = ds.createQuery('tenant-b', 'User').filter('name', 'john');
+        const queryRes = [[{ name: 'john' }], {}];
+
+        beforeEach(done => {
+            gsCache = gstoreCache.init({ datastore: ds });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+                done();
+            };
+            gsCache.on('ready', onReady);
+        });
+
+        it('should remove the keys and the queries of the namespace', () =>
+            Promise.all([
+                gsCache.keys.mset(keyA, { name: 'john' }, keyB, { name: 'john' }),
+                gsCache.queries.mset(queryA, queryRes, queryB, queryRes),
+            ])
+                .then(() => gsCache.clearNamespace('tenant-a'))
+                .then(res => {
+                    expect(res).deep.equal([1, 1]);
+                    const keyToString = key => gsCache.config.cachePrefix.keys + utils.datastore.dsKeyToString(key);
+                    return Promise.all([
+                        gsCache.mget(keyToString(keyA), keyToString(keyB)),
+                        gsCache.queries.mget(queryA, queryB),
+                    ]);
+                })
+                .then(([entities, queriesResults]) => {
+                    expect(entities[0]).equal(undefined);
+                    expect(entities[1].name).equal('john');
+                    expect(queriesResults[0]).equal(undefined);
+                    expect(queriesResults[1]).deep.equal(queryRes);
+                }));
+
+        it('should reject if no namespace is passed', () =>
+            gsCache.clearNamespace().then(
+                () => {
+                    throw new Error('should not get here');
+                },
+                err => {
+                    expect(err.message).equal('A namespace is required.');
+                }
+            ));
+    });
+
     describe('getCacheManager()', () => {
         it('should return the cache manager', done => {
             gsCache = gstoreCache.init();
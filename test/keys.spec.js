@@ -6,8 +6,10 @@ const sinon = require('sinon');
 const nodeCacheManager = require('cache-manager');
 
 const gstoreCache = require('../lib');
-const { datastore, string } = require('../lib/utils');
-const { keys, entities } = require('./mocks/datastore');
+const serializer = require('../lib/serializer');
+const compression = require('../lib/compression');
+const { datastore, string, entry } = require('../lib/utils');
+const { keys, entities, otherDatastore } = require('./mocks/datastore');
 const StoreMock = require('./mocks/cache-store');
 
 const { expect, assert } = chai;
@@ -86,6 +88,83 @@ describe('gstoreCache.keys', () => {
             });
         });
 
+        it('should save the entity with the "safe" key encoding', () => {
+            sinon.stub(methods, 'fetchHandler').resolves([entity3]);
+            gsCache.config.keyEncoding = 'safe';
+            const safeKey = gsCache.config.cachePrefix.keys + datastore.dsKeyToString(key3, { encoding: 'safe' });
+
+            return gsCache.keys.read(key3, methods.fetchHandler).then(() =>
+                Promise.all([cacheManager.get(safeKey), cacheManager.get(keyToString(key3))]).then(
+                    ([safeResponse, legacyResponse]) => {
+                        expect(safeResponse.name).equal('Carol');
+                        expect(legacyResponse).equal(undefined);
+                    }
+                )
+            );
+        });
+
+        it('should not read the entities cached with a previous version', () => {
+            sinon.stub(methods, 'fetchHandler').resolves([entity3]);
+
+            return gsCache.keys
+                .set(key3, entity3)
+                .then(() => {
+                    gsCache.bumpVersion('User');
+                    return gsCache.keys.read(key3, methods.fetchHandler);
+                })
+                .then(() => {
+                    expect(methods.fetchHandler.callCount).equal(1);
+                    const versionedKey = `${gsCache.config.cachePrefix.keys}k1:${datastore.dsKeyToString(key3)}`;
+                    return cacheManager.get(versionedKey);
+                })
+                .then(cacheResponse => {
+                    expect(cacheResponse.name).equal('Carol');
+                });
+        });
+
+        it('should compress the entities when the compression is enabled', () => {
+            sinon.stub(methods, 'fetchHandler').resolves([entity3]);
+            gsCache.config.compression = { keys: { threshold: 10 } };
+
+            return gsCache.keys
+                .read(key3, methods.fetchHandler)
+                .then(() => cacheManager.get(keyToString(key3)))
+                .then(cacheResponse => {
+                    expect(compression.isCompressed(cacheResponse)).equal(true);
+                    expect(cacheResponse.__gcCompressed__).equal('gzip');
+                    return gsCache.keys.read(key3, methods.fetchHandler);
+                })
+                .then(result => {
+                    expect(methods.fetchHandler.callCount).equal(1);
+                    expect(result.name).equal('Carol');
+                    expect(result[ds.KEY]).equal(key3);
+                });
+        });
+
+        it('should deserialize the entities from the cache', () => {
+            const value = { name: 'John', createdOn: new Date('2018-01-01'), company: ds.key(['Company', 'Google']) };
+            // Simulate an entity saved in Redis
+            cacheManager.set(keyToString(key1), JSON.parse(JSON.stringify(serializer.serialize(value))));
+
+            return gsCache.keys.read(key1, methods.fetchHandler).then(result => {
+                expect(result.createdOn).deep.equal(value.createdOn);
+                expect(ds.isKey(result.company)).equal(true);
+                expect(result[ds.KEY]).equal(key1);
+            });
+        });
+
+        it('should deserialize the entities with the Datastore instance of the config', () => {
+            const appDs = otherDatastore();
+            const value = { name: 'John', company: appDs.key(['Company', 'Google']) };
+            const dsStub = sinon.stub(gsCache, 'ds').get(() => appDs);
+            cacheManager.set(keyToString(key1), JSON.parse(JSON.stringify(serializer.serialize(value, appDs))));
+
+            return gsCache.keys.read(key1, methods.fetchHandler).then(result => {
+                dsStub.restore();
+                expect(appDs.isKey(result.company)).equal(true);
+            });
+        });
+
         it('should get entity from fetchHandler (2)', () => {
             sinon.stub(methods, 'fetchHandler').resolves([[entity1, entity2]]);
 
@@ -202,6 +281,57 @@ describe('gstoreCache.keys', () => {
             });
         });
 
+        it('should not write the config defaults in the options object', () => {
+            const options = {};
+            gsCache.config.staleWhileRevalidate = 20;
+            sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+
+            return gsCache.keys.read(key1, options, methods.fetchHandler).then(() => {
+                gsCache.config.staleWhileRevalidate = 0;
+                expect(options).deep.equal({});
+            });
+        });
+
+        it('should save each key with its own ttl jitter', () => {
+            gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { jitter: 30 });
+            sinon.spy(gsCache.cacheManager, 'mset');
+            sinon
+                .stub(Math, 'random')
+                .onFirstCall()
+                .returns(0)
+                .onSecondCall()
+                .returns(1);
+            sinon.stub(methods, 'fetchHandler').resolves([[entity2, entity3]]);
+
+            return gsCache.keys.read([key2, key3], methods.fetchHandler).then(() => {
+                const calls = gsCache.cacheManager.mset.getCalls().map(call => call.args);
+                gsCache.cacheManager.mset.restore();
+                Math.random.restore();
+
+                expect(calls.length).equal(2);
+                expect(calls.find(args => args[0] === keyToString(key2))[2].ttl).equal(600);
+                expect(calls.find(args => args[0] === keyToString(key3))[2].ttl).equal(630);
+            });
+        });
+
+        it('should set the TTL of the Entity Kind from config', () => {
+            const postKey = ds.key(['Post', 123]);
+            const post = { title: 'Hello' };
+            post[ds.KEY] = postKey;
+            gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { kinds: { Post: { keys: 30 } } });
+            sinon.spy(gsCache.cacheManager, 'mset');
+            sinon.stub(methods, 'fetchHandler').resolves([[entity2, post]]);
+
+            return gsCache.keys.read([key2, postKey], methods.fetchHandler).then(() => {
+                const calls = gsCache.cacheManager.mset.getCalls().map(call => call.args);
+                gsCache.cacheManager.mset.restore();
+
+                expect(calls.length).equal(2);
+                expect(calls.find(args => args[0] === keyToString(key2))[2].ttl).equal(600);
+                expect(calls.find(args => args[0] === keyToString(postKey))[2].ttl).equal(30);
+            });
+        });
+
         it('should set ttl dynamically when multistore', done => {
             const stores = {};
             sinon.stub(nodeCacheManager, 'caching').callsFake(storeName => {
@@ -318,6 +448,85 @@ describe('gstoreCache.keys', () => {
             });
         });
 
+        it('should only fetch once the same key read concurrently', () => {
+            sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+
+            return Promise.all([
+                gsCache.keys.read(key1, methods.fetchHandler),
+                gsCache.keys.read(key1, methods.fetchHandler),
+                gsCache.keys.read(key1, methods.fetchHandler),
+            ]).then(results => {
+                expect(methods.fetchHandler.callCount).equal(1);
+                results.forEach(result => {
+                    expect(result.name).equal('John');
+                });
+            });
+        });
+
+        it('should only fetch the keys not already being fetched', () => {
+            sinon.stub(methods, 'fetchHandler').callsFake(_keys => {
+                const response = _keys.map(k => entities[keys.indexOf(k)]);
+                return Promise.resolve([response.length > 1 ? response : response[0]]);
+            });
+
+            return Promise.all([
+                gsCache.keys.read([key1, key2], methods.fetchHandler),
+                gsCache.keys.read([key2, key3], methods.fetchHandler),
+            ]).then(results => {
+                expect(methods.fetchHandler.callCount).equal(2);
+                expect(methods.fetchHandler.getCall(0).args[0]).deep.equal([key1, key2]);
+                expect(methods.fetchHandler.getCall(1).args[0]).deep.equal([key3]);
+                expect(results[0].map(e => e.name)).deep.equal(['John', 'Mick']);
+                expect(results[1].map(e => e.name)).deep.equal(['Mick', 'Carol']);
+            });
+        });
+
+        it('should only return "null" for the keys of the fetch not found ("ERR_ENTITY_NOT_FOUND")', () => {
+            const error = new Error('not found');
+            error.code = 'ERR_ENTITY_NOT_FOUND';
+            cacheManager.set(keyToString(key1), entity1);
+            sinon.stub(methods, 'fetchHandler').callsFake(_keys => {
+                if (_keys.indexOf(key3) >= 0) {
+                    return Promise.reject(error);
+                }
+                return Promise.resolve([entity2]);
+            });
+
+            return Promise.all([
+                gsCache.keys.read(key2, methods.fetchHandler),
+                gsCache.keys.read([key1, key2, key3], methods.fetchHandler),
+            ]).then(results => {
+                expect(methods.fetchHandler.callCount).equal(2);
+                expect(methods.fetchHandler.getCall(1).args[0]).deep.equal([key3]);
+                expect(results[0].name).equal('Mick');
+                expect(results[1][0].name).equal('John');
+                expect(results[1][1].name).equal('Mick');
+                expect(results[1][2]).equal(null);
+            });
+        });
+
+        it('should share the fetch error with all the concurrent reads and fetch again after', () => {
+            const error = new Error('Houston we got an error');
+            sinon.stub(methods, 'fetchHandler').rejects(error);
+
+            const onError = err => err;
+
+            return Promise.all([
+                gsCache.keys.read(key1, methods.fetchHandler).catch(onError),
+                gsCache.keys.read(key1, methods.fetchHandler).catch(onError),
+            ]).then(results => {
+                expect(methods.fetchHandler.callCount).equal(1);
+                expect(results[0]).equal(error);
+                expect(results[1]).equal(error);
+
+                methods.fetchHandler.resolves([entity1]);
+                return gsCache.keys.read(key1, methods.fetchHandler).then(result => {
+                    expect(methods.fetchHandler.callCount).equal(2);
+                    expect(result.name).equal('John');
+                });
+            });
+        });
+
         it('should bubble up the error from the fetch (2)', done => {
             const error = new Error('Houston we got an error');
             cacheManager.set(keyToString(key1), entity1);
@@ -328,6 +537,433 @@ describe('gstoreCache.keys', () => {
                 done();
             });
         });
+
+        context('when negative cache', () => {
+            it('should save the keys not found and not fetch them again', () => {
+                sinon.stub(methods, 'fetchHandler').resolves([[entity1]]);
+                sinon.spy(gsCache.cacheManager, 'mset');
+
+                return gsCache.keys
+                    .read([key1, key2], { negativeCache: true }, methods.fetchHandler)
+                    .then(results => {
+                        expect(results[0].name).equal('John');
+                        expect(results[1]).equal(null);
+
+                        const { args } = gsCache.cacheManager.mset.getCall(1);
+                        expect(args[0]).equal(keyToString(key2));
+                        expect(entry.isNotFound(args[1])).equal(true);
+                        expect(args[2].ttl).equal(60);
+                        gsCache.cacheManager.mset.restore();
+
+                        return gsCache.keys.read(key2, { negativeCache: true }, methods.fetchHandler);
+                    })
+                    .then(result => {
+                        expect(methods.fetchHandler.callCount).equal(1);
+                        expect(result).equal(null);
+                    });
+            });
+
+            it('should save the key not found from "ERR_ENTITY_NOT_FOUND" error', () => {
+                const error = new Error('not found');
+                error.code = 'ERR_ENTITY_NOT_FOUND';
+                sinon.stub(methods, 'fetchHandler').rejects(error);
+                gsCache.config.negativeCache = true;
+
+                return gsCache.keys
+                    .read(key1, methods.fetchHandler)
+                    .then(result => {
+                        expect(result).equal(null);
+                        return cacheManager.get(keyToString(key1));
+                    })
+                    .then(cacheResponse => {
+                        expect(entry.isNotFound(cacheResponse)).equal(true);
+                        gsCache.config.negativeCache = false;
+                    });
+            });
+
+            it('should not save the keys not found by default', () => {
+                sinon.stub(methods, 'fetchHandler').resolves([[entity1]]);
+
+                return gsCache.keys
+                    .read([key1, key2], methods.fetchHandler)
+                    .then(() => cacheManager.get(keyToString(key2)))
+                    .then(cacheResponse => {
+                        expect(typeof cacheResponse).equal('undefined');
+                    });
+            });
+
+            it('should return "null" from get() for the keys not found', () => {
+                cacheManager.mset(keyToString(key1), entry.NOT_FOUND, keyToString(key2), entity2);
+
+                return gsCache.keys
+                    .get(key1)
+                    .then(result => {
+                        expect(result).equal(null);
+                        return gsCache.keys.mget(key1, key2);
+                    })
+                    .then(results => {
+                        expect(results[0]).equal(null);
+                        expect(results[1].name).equal('Mick');
+                    });
+            });
+        });
+
+        context('when stale-while-revalidate', () => {
+            const staleEntry = value => entry.create(value, { expires: Date.now() - 1000 });
+
+            it('should serve the stale entity and refresh it in the background', done => {
+                cacheManager.set(keyToString(key1), staleEntry({ name: 'Old John' }));
+                sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+
+                gsCache.on('refresh', payload => {
+                    expect(payload.type).equal('keys');
+                    expect(payload.keys).deep.equal([key1]);
+
+                    cacheManager.get(keyToString(key1)).then(cacheResponse => {
+                        expect(entry.isStale(cacheResponse)).equal(false);
+                        expect(entry.value(cacheResponse).name).equal('John');
+                        done();
+                    });
+                });
+
+                gsCache.keys.read(key1, { staleWhileRevalidate: 60 }, methods.fetchHandler).then(result => {
+                    expect(result.name).equal('Old John');
+                    expect(result[ds.KEY]).equal(key1);
+                    expect(methods.fetchHandler.callCount).equal(1);
+                });
+            });
+
+            it('should only refresh the stale entities', done => {
+                cacheManager.mset(keyToString(key1), staleEntry(entity1), keyToString(key2), entity2);
+                sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+
+                gsCache.on('refresh', () => {
+                    expect(methods.fetchHandler.getCall(0).args[0]).deep.equal([key1]);
+                    done();
+                });
+
+                gsCache.keys.read([key1, key2], { staleWhileRevalidate: 60 }, methods.fetchHandler).then(results => {
+                    expect(results[0].name).equal('John');
+                    expect(results[1].name).equal('Mick');
+                });
+            });
+
+            it('should emit "refreshError" when the refresh fails', done => {
+                const error = new Error('Houston we got an error');
+                cacheManager.set(keyToString(key1), staleEntry(entity1));
+                sinon.stub(methods, 'fetchHandler').rejects(error);
+
+                gsCache.on('refreshError', (err, payload) => {
+                    expect(err).equal(error);
+                    expect(payload.keys).deep.equal([key1]);
+                    done();
+                });
+
+                gsCache.keys.read(key1, { staleWhileRevalidate: 60 }, methods.fetchHandler).then(result => {
+                    expect(result.name).equal('John');
+                });
+            });
+
+            it('should save the expiration date and extend the ttl with the stale period', () => {
+                sinon.spy(gsCache.cacheManager, 'mset');
+                sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+                gsCache.config.staleWhileRevalidate = 30;
+
+                return gsCache.keys.read(key1, methods.fetchHandler).then(result => {
+                    const { args } = gsCache.cacheManager.mset.getCall(0);
+                    expect(result).equal(entity1);
+                    expect(entry.value(args[1])).equal(entity1);
+                    expect(args[1].__gcMeta__.expires).above(Date.now() + 599000);
+                    expect(args[2].ttl).equal(630);
+
+                    gsCache.config.staleWhileRevalidate = 0;
+                    gsCache.cacheManager.mset.restore();
+                });
+            });
+
+            it('should return the stale entities from get() without their metadata', () => {
+                cacheManager.set(keyToString(key1), staleEntry(entity1));
+
+                return gsCache.keys.get(key1).then(result => {
+                    expect(result.name).equal('John');
+                    expect(result.__gcMeta__).equal(undefined);
+                });
+            });
+        });
+
+        context('when slidingExpiration', () => {
+            afterEach(() => {
+                gsCache.touch.restore();
+            });
+
+            it('should extend the ttl of the entities read from the cache', () => {
+                sinon.spy(gsCache, 'touch');
+                sinon.stub(methods, 'fetchHandler').resolves([entity3]);
+
+                return cacheManager
+                    .mset(keyToString(key1), entity1, keyToString(key2), entry.NOT_FOUND)
+                    .then(() =>
+                        gsCache.keys.read([key1, key2, key3], { slidingExpiration: true }, methods.fetchHandler)
+                    )
+                    .then(() => {
+                        const { args } = gsCache.touch.getCall(0);
+                        expect(gsCache.touch.callCount).equal(1);
+                        expect(args[0]).deep.equal([keyToString(key1)]);
+                        expect(args[1].ttl).equal(600);
+                    });
+            });
+
+            it('should extend the ttl of the entities from get()', () => {
+                sinon.spy(gsCache, 'touch');
+                gsCache.config.slidingExpiration = true;
+
+                return cacheManager
+                    .set(keyToString(key1), entity1)
+                    .then(() => gsCache.keys.get(key1))
+                    .then(() => {
+                        expect(gsCache.touch.getCall(0).args[0]).deep.equal([keyToString(key1)]);
+                        return gsCache.keys.mget(key1, key2);
+                    })
+                    .then(() => {
+                        expect(gsCache.touch.getCall(1).args[0]).deep.equal([keyToString(key1)]);
+                    });
+            });
+
+            it('should not extend the ttl when disabled', () => {
+                sinon.spy(gsCache, 'touch');
+
+                return cacheManager
+                    .set(keyToString(key1), entity1)
+                    .then(() => gsCache.keys.read(key1, methods.fetchHandler))
+                    .then(() => {
+                        expect(gsCache.touch.called).equal(false);
+                    });
+            });
+        });
+
+        context('when earlyRefresh', () => {
+            // An entity expiring in 1s that took 2s to fetch
+            const expiringEntry = value => entry.create(value, { expires: Date.now() + 1000, delta: 2000 });
+
+            afterEach(() => {
+                if (Math.random.restore) {
+                    Math.random.restore();
+                }
+            });
+
+            it('should serve the entity and refresh it in the background before it expires', done => {
+                cacheManager.set(keyToString(key1), expiringEntry({ name: 'Old John' }));
+                sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+                sinon.stub(Math, 'random').returns(0.5); // 2000 * ln(0.5) = -1386ms
+
+                gsCache.on('refresh', payload => {
+                    expect(payload.keys).deep.equal([key1]);
+
+                    cacheManager.get(keyToString(key1)).then(cacheResponse => {
+                        expect(entry.value(cacheResponse).name).equal('John');
+                        expect(cacheResponse.__gcMeta__.delta).at.least(0);
+                        done();
+                    });
+                });
+
+                gsCache.keys.read(key1, { earlyRefresh: true }, methods.fetchHandler).then(result => {
+                    expect(result.name).equal('Old John');
+                    expect(methods.fetchHandler.callCount).equal(1);
+                });
+            });
+
+            it('should not refresh the entity if it is not close to its expiration', () => {
+                cacheManager.set(keyToString(key1), expiringEntry(entity1));
+                sinon.spy(methods, 'fetchHandler');
+                sinon.stub(Math, 'random').returns(0.9); // 2000 * ln(0.9) = -210ms
+
+                return gsCache.keys.read(key1, { earlyRefresh: true }, methods.fetchHandler).then(result => {
+                    expect(result.name).equal('John');
+                    expect(methods.fetchHandler.called).equal(false);
+                });
+            });
+
+            it('should save the fetch duration and the expiration date without extending the ttl', () => {
+                sinon.spy(gsCache.cacheManager, 'mset');
+                sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+                gsCache.config.earlyRefresh = true;
+
+                return gsCache.keys.read(key1, methods.fetchHandler).then(() => {
+                    const { args } = gsCache.cacheManager.mset.getCall(0);
+                    expect(entry.value(args[1])).equal(entity1);
+                    expect(args[1].__gcMeta__.expires).above(Date.now() + 599000);
+                    expect(typeof args[1].__gcMeta__.delta).equal('number');
+                    expect(args[2].ttl).equal(600);
+
+                    gsCache.cacheManager.mset.restore();
+                });
+            });
+        });
+
+        context('when failOpen', () => {
+            const error = new Error('Connection lost');
+
+            beforeEach(done => {
+                gsCache = gstoreCache.init({ datastore: ds, config: { stores: [StoreMock('memory', error)] } });
+
+                const onReady = () => {
+                    gsCache.removeListener('ready', onReady);
+                    done();
+                };
+                gsCache.on('ready', onReady);
+            });
+
+            afterEach(done => {
+                // Remove the failing store so the next init() creates the default store
+                gsCache.deleteCacheManager(done);
+            });
+
+            it('should fetch the keys when the cache store fails', () => {
+                const onStoreError = sinon.spy();
+                gsCache.on('storeError', onStoreError);
+                sinon.stub(methods, 'fetchHandler').resolves([[entity1, entity2]]);
+
+                return gsCache.keys.read([key1, key2], { failOpen: true }, methods.fetchHandler).then(result => {
+                    expect(result).deep.equal([entity1, entity2]);
+                    // The errors of the read and of the write of the entities fetched
+                    expect(onStoreError.callCount).equal(2);
+                    expect(onStoreError.getCall(0).args).deep.equal([error, { store: 'memory' }]);
+                    expect(gsCache.stats().stores.memory.errors).at.least(2);
+                });
+            });
+
+            it('should reject when the cache store fails (failOpen disabled)', () => {
+                sinon.spy(methods, 'fetchHandler');
+
+                return gsCache.keys.read(key1, methods.fetchHandler).then(
+                    () => {
+                        throw new Error('should not get here');
+                    },
+                    err => {
+                        expect(err).equal(error);
+                        expect(methods.fetchHandler.called).equal(false);
+                    }
+                );
+            });
+
+            it('should take the failOpen value from the config', () => {
+                gsCache.config.failOpen = true;
+                sinon.stub(methods, 'fetchHandler').resolves([entity1]);
+
+                return gsCache.keys.read(key1, methods.fetchHandler).then(result => {
+                    expect(result).equal(entity1);
+                    gsCache.config.failOpen = false;
+                });
+            });
+        });
+
+        context('events', () => {
+            it('should emit the "hit", "miss", "fetch" and "set" events', () => {
+                const events = [];
+                ['hit', 'miss', 'fetch', 'set'].forEach(event => {
+                    gsCache.on(event, payload => events.push([event, payload]));
+                });
+                sinon.stub(methods, 'fetchHandler').resolves([entity2]);
+
+                return cacheManager
+                    .set(keyToString(key1), entity1)
+                    .then(() => gsCache.keys.read([key1, key2], methods.fetchHandler))
+                    .then(() => {
+                        expect(events.map(([event]) => event)).deep.equal(['hit', 'miss', 'fetch', 'set']);
+                        expect(events[0][1]).deep.equal({ type: 'keys', kind: 'User', key: keyToString(key1) });
+                        expect(events[1][1]).deep.equal({ type: 'keys', kind: 'User', key: keyToString(key2) });
+                        expect(events[2][1].kinds).deep.equal(['User']);
+                        expect(events[2][1].keys).deep.equal([keyToString(key2)]);
+                        expect(typeof events[2][1].duration).equal('number');
+                        expect(events[3][1].key).equal(keyToString(key2));
+                    });
+            });
+
+            it('should emit the "error" event only when there are listeners', () => {
+                const error = new Error('Houston we got an error');
+                sinon.stub(methods, 'fetchHandler').rejects(error);
+
+                return gsCache.keys
+                    .read(key1, methods.fetchHandler)
+                    .catch(err => {
+                        expect(err).equal(error);
+
+                        const onError = sinon.spy();
+                        gsCache.on('error', onError);
+                        return gsCache.keys.read(key1, methods.fetchHandler).catch(() => onError);
+                    })
+                    .then(onError => {
+                        expect(onError.getCall(0).args).deep.equal([error, { type: 'keys', kinds: ['User'] }]);
+                    });
+            });
+
+            it('should emit the "set" and "del" events', () => {
+                const onSet = sinon.spy();
+                const onDel = sinon.spy();
+                gsCache.on('set', onSet);
+                gsCache.on('del', onDel);
+
+                return gsCache.keys
+                    .mset(key1, entity1, key2, entity2)
+                    .then(() => gsCache.keys.del(key1))
+                    .then(() => {
+                        expect(onSet.callCount).equal(2);
+                        expect(onSet.getCall(1).args[0]).deep.equal({
+                            type: 'keys',
+                            kind: 'User',
+                            key: keyToString(key2),
+                        });
+                        expect(onDel.getCall(0).args[0]).deep.equal({
+                            type: 'keys',
+                            kind: 'User',
+                            key: keyToString(key1),
+                        });
+                    });
+            });
+        });
+
+        context('statistics', () => {
+            beforeEach(() => {
+                gsCache.resetStats();
+            });
+
+            it('should count the hits, misses and fetches', () => {
+                sinon.stub(methods, 'fetchHandler').resolves([entity2]);
+
+                return cacheManager
+                    .set(keyToString(key1), entity1)
+                    .then(() => gsCache.keys.read([key1, key2], methods.fetchHandler))
+                    .then(() => {
+                        const { keys: stats } = gsCache.stats();
+                        expect(stats.hits).equal(1);
+                        expect(stats.misses).equal(1);
+                        expect(stats.partialHits).equal(1);
+                        expect(stats.fetches).equal(1);
+                        expect(stats.fetchLatency.count).equal(1);
+                        expect(stats.kinds.User.hits).equal(1);
+                        expect(stats.kinds.User.fetches).equal(1);
+
+                        return gsCache.keys.mget(key1, key3);
+                    })
+                    .then(() => {
+                        const { keys: stats } = gsCache.stats();
+                        expect(stats.hits).equal(2);
+                        expect(stats.misses).equal(2);
+                        expect(stats.fetches).equal(1);
+                    });
+            });
+
+            it('should count the errors', () => {
+                sinon.stub(methods, 'fetchHandler').rejects(new Error('Houston we got an error'));
+
+                return gsCache.keys.read(key1, methods.fetchHandler).catch(() => {
+                    const { keys: stats } = gsCache.stats();
+                    expect(stats.errors).equal(1);
+                    expect(stats.fetches).equal(1);
+                    expect(stats.kinds.User.errors).equal(1);
+                });
+            });
+        });
     });
 
     describe('get()', () => {
@@ -368,6 +1004,18 @@ describe('gstoreCache.keys', () => {
                 })
             );
         });
+
+        it('should add a Datastore Key to the entities saved in JSON', () => {
+            const key5 = keys[4];
+            // Simulate an entity saved in Redis
+            cacheManager.set(keyToString(key5), JSON.parse(JSON.stringify(entities[4])));
+
+            return gsCache.keys.mget(key5, key1).then(res => {
+                expect(ds.isKey(res[0][ds.KEY])).equal(true);
+                expect(ds.isKey(res[0][ds.KEY].parent)).equal(true);
+                expect(res[0][ds.KEY].path).deep.equal(key5.path);
+            });
+        });
     });
 
     describe('set()', () => {
@@ -484,6 +1132,62 @@ describe('gstoreCache.keys', () => {
                 expect(args[4].ttl).equal(5533);
             });
         });
+
+        it('should save separately the Entity Kinds with their own TTL', () => {
+            const postKey = ds.key(['Post', 123]);
+            gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { kinds: { Post: { keys: 30 } } });
+            sinon.spy(gsCache, 'set');
+
+            return gsCache.keys.mset(key2, {}, postKey, {}).then(result => {
+                const calls = gsCache.set.getCalls().map(call => call.args);
+
+                expect(calls.length).equal(2);
+                expect(calls.find(args => args[0] === keyToString(key2))[2].ttl).equal(600);
+                expect(calls.find(args => args[0] === keyToString(postKey))[2].ttl).equal(30);
+                expect(result).deep.equal([{}, {}]);
+            });
+        });
+    });
+
+    describe('namespaces', () => {
+        const nsKey = ds.key({ namespace: 'tenant-a', path: ['User', 123] });
+        let redisClient;
+
+        beforeEach(done => {
+            gsCache = gstoreCache.init({
+                datastore: ds,
+                config: {
+                    stores: [StoreMock('redis')],
+                    ttl: { keys: 600, kinds: { Session: { keys: 7200 } }, jitter: 10 },
+                },
+            });
+
+            const onReady = () => {
+                gsCache.removeAllListeners();
+                ({ redisClient } = gsCache);
+                sinon.spy(redisClient, 'multi');
+                done();
+            };
+            gsCache.on('ready', onReady);
+        });
+
+        afterEach(() => {
+            redisClient.multi.restore();
+        });
+
+        it('should expire the namespace Set in Redis after the longest ttl of the keys', () =>
+            gsCache.keys.set(nsKey, { name: 'john' }).then(() => {
+                const setKey = `${gsCache.config.cachePrefix.keys}__namespace__:tenant-a`;
+                const commands = redisClient.multi.getCall(0).args[0];
+
+                expect(commands).deep.equal([['sadd', setKey, keyToString(nsKey)], ['expire', setKey, 7210]]);
+            }));
+
+        it('should extend the ttl of the namespace Set from the options', () =>
+            gsCache.keys.set(nsKey, { name: 'john' }, { ttl: 86400 }).then(() => {
+                const commands = redisClient.multi.getCall(0).args[0];
+                expect(commands[1][2]).equal(86410);
+            }));
     });
 
     describe('del()', () => {
@@ -507,4 +1211,80 @@ describe('gstoreCache.keys', () => {
             });
         });
     });
+
+    describe('when "invalidateQueriesOnWrite"', () => {
+        const postKey = ds.key(['Post', 123]);
+
+        beforeEach(() => {
+            gsCache.config.invalidateQueriesOnWrite = true;
+            sinon.stub(gsCache.queries, 'clearQueriesEntityKind').resolves(1);
+        });
+
+        afterEach(() => {
+            gsCache.config.invalidateQueriesOnWrite = false;
+            gsCache.queries.clearQueriesEntityKind.restore();
+        });
+
+        it('should clear the queries of the Entity Kind on set()', () =>
+            gsCache.keys.set(key1, entity1).then(result => {
+                expect(result.name).equal('John');
+                assert.ok(gsCache.queries.clearQueriesEntityKind.calledOnce);
+                expect(gsCache.queries.clearQueriesEntityKind.getCall(0).args[0]).deep.equal(['User']);
+            }));
+
+        it('should clear the queries of each Entity Kind on mset()', () =>
+            gsCache.keys.mset(key2, entity2, key3, entity3, postKey, {}).then(result => {
+                expect(result.length).equal(3);
+                expect(gsCache.queries.clearQueriesEntityKind.getCall(0).args[0]).deep.equal(['User', 'Post']);
+            }));
+
+        it('should clear the queries once when the keys are saved with a ttl jitter', () => {
+            gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { jitter: 30 });
+            sinon.spy(gsCache, 'set');
+
+            return gsCache.keys.mset(key2, entity2, key3, entity3, postKey, {}).then(result => {
+                expect(gsCache.set.callCount).equal(3);
+                expect(result.length).equal(3);
+                assert.ok(gsCache.queries.clearQueriesEntityKind.calledOnce);
+                expect(gsCache.queries.clearQueriesEntityKind.getCall(0).args[0]).deep.equal(['User', 'Post']);
+                gsCache.set.restore();
+            });
+        });
+
+        it('should clear the queries of the Entity Kind on del()', () => {
+            sinon.spy(gsCache, 'del');
+
+            return gsCache.keys.del(key2, postKey).then(() => {
+                assert.ok(gsCache.del.called);
+                expect(gsCache.queries.clearQueriesEntityKind.getCall(0).args[0]).deep.equal(['User', 'Post']);
+                gsCache.del.restore();
+            });
+        });
+
+        it('should only clear the queries in the namespace of the keys', () =>
+            gsCache.keys.mset(key1, entity1, postKey, {}).then(() => {
+                const { args: args1 } = gsCache.queries.clearQueriesEntityKind.getCall(0);
+                const { args: args2 } = gsCache.queries.clearQueriesEntityKind.getCall(1);
+
+                expect(args1).deep.equal([['User'], { namespace: 'ns' }]);
+                expect(args2).deep.equal([['Post']]);
+            }));
+
+        it('should bubble up the error when clearing the queries', () => {
+            const error = new Error('Houston we got an error');
+            gsCache.queries.clearQueriesEntityKind.rejects(error);
+
+            return gsCache.keys.set(key1, entity1).catch(err => {
+                expect(err).equal(error);
+            });
+        });
+
+        it('should not clear the queries when not set in config', () => {
+            gsCache.config.invalidateQueriesOnWrite = false;
+
+            return gsCache.keys.set(key1, entity1).then(() => {
+                expect(gsCache.queries.clearQueriesEntityKind.called).equal(false);
+            });
+        });
+    });
 });
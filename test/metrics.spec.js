@@ -0,0 +1,109 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const ds = require('@google-cloud/datastore')();
+
+const gstoreCache = require('../lib');
+
+const { expect } = chai;
+
+describe('gstoreCache.metrics', () => {
+    let gsCache;
+
+    beforeEach(done => {
+        gsCache = gstoreCache.init({ datastore: ds });
+
+        const onReady = () => {
+            gsCache.removeListener('ready', onReady);
+            gsCache.resetStats();
+            done();
+        };
+        gsCache.on('ready', onReady);
+    });
+
+    afterEach(() => {
+        gsCache.removeAllListeners();
+    });
+
+    describe('render()', () => {
+        it('should render the counters labelled by Entity Kind and store', () => {
+            const { statsCollector } = gsCache;
+            statsCollector.hit('keys', ['User']);
+            statsCollector.partialHit('keys', ['User']);
+            statsCollector.miss('queries', ['Post']);
+            statsCollector.invalidation('queries', ['Post']);
+            statsCollector.error('keys', ['User']);
+            statsCollector.storeError('redis');
+
+            const lines = gsCache.metrics.render().split('\n');
+
+            expect(lines).include.members([
+                '# TYPE gstore_cache_keys_read counter',
+                'gstore_cache_keys_read_total{kind="User",result="hit"} 1',
+                'gstore_cache_keys_read_total{kind="User",result="miss"} 0',
+                'gstore_cache_keys_read_total{kind="User",result="partial_hit"} 1',
+                'gstore_cache_queries_read_total{kind="Post",result="miss"} 1',
+                'gstore_cache_invalidations_total{kind="Post"} 1',
+                'gstore_cache_errors_total{type="keys",kind="User"} 1',
+                'gstore_cache_store_read_total{store="memory",result="hit"} 0',
+                'gstore_cache_store_errors_total{store="memory"} 0',
+                'gstore_cache_store_errors_total{store="redis"} 1',
+            ]);
+            expect(lines.slice(-2)).deep.equal(['# EOF', '']);
+        });
+
+        it('should render the fetch latency histograms in seconds', () => {
+            gsCache.statsCollector.fetch('keys', ['User'], 20);
+            gsCache.statsCollector.fetch('keys', ['User'], 300);
+
+            const lines = gsCache.metrics.render().split('\n');
+            const buckets = lines.filter(line => line.indexOf('gstore_cache_fetch_duration_seconds_bucket') === 0);
+
+            expect(lines).include('# TYPE gstore_cache_fetch_duration_seconds histogram');
+            expect(buckets[0]).equal(
+                'gstore_cache_fetch_duration_seconds_bucket{type="keys",kind="User",le="0.005"} 0'
+            );
+            expect(buckets[buckets.length - 1]).equal(
+                'gstore_cache_fetch_duration_seconds_bucket{type="keys",kind="User",le="+Inf"} 2'
+            );
+            expect(lines).include.members([
+                'gstore_cache_fetch_duration_seconds_bucket{type="keys",kind="User",le="0.025"} 1',
+                'gstore_cache_fetch_duration_seconds_count{type="keys",kind="User"} 2',
+                'gstore_cache_fetch_duration_seconds_sum{type="keys",kind="User"} 0.32',
+            ]);
+        });
+
+        it('should escape the labels values', () => {
+            gsCache.statsCollector.hit('keys', ['Us"er\\']);
+
+            expect(gsCache.metrics.render()).include('gstore_cache_keys_read_total{kind="Us\\"er\\\\",result="hit"} 1');
+        });
+    });
+
+    describe('middleware()', () => {
+        const createResponse = () => ({ writeHead: sinon.spy(), end: sinon.spy() });
+
+        it('should respond with the metrics', () => {
+            const res = createResponse();
+
+            gsCache.metrics.middleware()({ url: '/metrics?foo=bar' }, res);
+
+            expect(res.writeHead.getCall(0).args).deep.equal([200, { 'Content-Type': gsCache.metrics.CONTENT_TYPE }]);
+            expect(res.end.getCall(0).args[0]).equal(gsCache.metrics.render());
+        });
+
+        it('should pass to the next middleware or respond 404 on another path', () => {
+            const next = sinon.spy();
+            const res = createResponse();
+
+            gsCache.metrics.middleware({ path: '/stats' })({ url: '/metrics' }, res, next);
+            expect(next.called).equal(true);
+            expect(res.end.called).equal(false);
+
+            gsCache.metrics.middleware()({ url: '/users' }, res);
+            expect(res.statusCode).equal(404);
+            expect(res.end.called).equal(true);
+        });
+    });
+});
@@ -6,52 +6,36 @@ const client = redis.createClient();
 
 const getCallback = (...args) => args.pop();
 
-module.exports = (name = 'memory') => ({
-    store: {
-        name,
-        options: {},
-        getClient: () => client,
-        reset: (...args) => {
-            const cb = getCallback(...args);
-            if (typeof cb === 'function') {
-                return cb();
-            }
-            return Promise.resolve();
-        },
-        set: (...args) => {
-            const cb = getCallback(...args);
-            if (typeof cb === 'function') {
-                return cb();
-            }
-            return Promise.resolve();
-        },
-        mset: (...args) => {
-            const cb = getCallback(...args);
-            if (typeof cb === 'function') {
-                return cb();
-            }
-            return Promise.resolve();
-        },
-        get: (...args) => {
-            const cb = getCallback(...args);
-            if (typeof cb === 'function') {
-                return cb();
-            }
-            return Promise.resolve();
-        },
-        mget: (...args) => {
-            const cb = getCallback(...args);
-            if (typeof cb === 'function') {
-                return cb();
-            }
-            return Promise.resolve();
-        },
-        del: (...args) => {
-            const cb = getCallback(...args);
-            if (typeof cb === 'function') {
-                return cb();
-            }
-            return Promise.resolve();
+/**
+ * Mock of a cache store.
+ * If an error is provided, all the methods of the store (except "reset") fail with it.
+ */
+module.exports = (name = 'memory', error) => {
+    const respond = (...args) => {
+        const cb = getCallback(...args);
+        if (typeof cb === 'function') {
+            return cb(error);
+        }
+        return error ? Promise.reject(error) : Promise.resolve();
+    };
+
+    return {
+        store: {
+            name,
+            options: {},
+            getClient: () => client,
+            reset: (...args) => {
+                const cb = getCallback(...args);
+                if (typeof cb === 'function') {
+                    return cb();
+                }
+                return Promise.resolve();
+            },
+            set: respond,
+            mset: respond,
+            get: respond,
+            mget: respond,
+            del: respond,
         },
-    },
-});
+    };
+};
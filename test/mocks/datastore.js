@@ -1,5 +1,7 @@
 'use strict';
 
+const { sep } = require('path');
+
 const ds = require('@google-cloud/datastore')();
 
 const key1 = ds.key({
@@ -47,8 +49,30 @@ const query3 = ds
     .select('__key__')
     .filter('__key__', '>', ds.key(['Task', 'someTask']));
 
+/**
+ * Load another copy of the Datastore module (ex: another version used by the application).
+ * Its Key, Int, Double and GeoPoint classes are different from the ones of the module of the cache.
+ */
+const otherDatastore = () => {
+    const isDatastoreModule = path => path.indexOf(`${sep}@google-cloud${sep}datastore${sep}`) >= 0;
+    const cached = Object.keys(require.cache).filter(isDatastoreModule);
+    const modules = cached.map(path => require.cache[path]);
+
+    cached.forEach(path => delete require.cache[path]);
+    const datastore = require('@google-cloud/datastore')(); // eslint-disable-line global-require
+
+    Object.keys(require.cache)
+        .filter(isDatastoreModule)
+        .forEach(path => delete require.cache[path]);
+    cached.forEach((path, i) => {
+        require.cache[path] = modules[i];
+    });
+    return datastore;
+};
+
 module.exports = {
     keys: [key1, key2, key3, key4, key5],
     entities: [entity1, entity2, entity3, entity4, entity5],
     queries: [query1, query2, query3],
+    otherDatastore,
 };
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * The active span is kept in an AsyncLocalStorage (like the OpenTelemetry context manager)
+ * when the Node.js version has it (>= 12.17). Otherwise it is only kept during the synchronous
+ * execution of the span callback and is not propagated to the async calls.
+ */
+let AsyncLocalStorage;
+try {
+    // "async_hooks" is a core module of Node.js >= 8
+    ({ AsyncLocalStorage } = require('async_hooks')); // eslint-disable-line import/no-unresolved, global-require
+} catch (e) {
+    AsyncLocalStorage = undefined;
+}
+
+const SyncStorage = () => {
+    let store;
+    return {
+        getStore: () => store,
+        run(value, fn) {
+            const previous = store;
+            store = value;
+            try {
+                return fn();
+            } finally {
+                store = previous;
+            }
+        },
+    };
+};
+
+/**
+ * In-memory OpenTelemetry Tracer.
+ * The spans ended are saved in "spans" (like an in-memory span exporter).
+ */
+const TracerMock = () => {
+    const storage = AsyncLocalStorage ? new AsyncLocalStorage() : SyncStorage();
+    const spans = [];
+
+    const createSpan = name => ({
+        name,
+        parent: storage.getStore(),
+        attributes: {},
+        exceptions: [],
+        status: undefined,
+        setAttribute(key, value) {
+            this.attributes[key] = value;
+            return this;
+        },
+        recordException(error) {
+            this.exceptions.push(error);
+        },
+        setStatus(status) {
+            this.status = status;
+        },
+        end() {
+            spans.push(this);
+        },
+    });
+
+    return {
+        spans,
+        activeSpan: () => storage.getStore(),
+        startActiveSpan: (name, fn) => {
+            const span = createSpan(name);
+            return storage.run(span, () => fn(span));
+        },
+    };
+};
+
+/**
+ * If the active span is propagated to the async calls
+ */
+TracerMock.hasAsyncContext = Boolean(AsyncLocalStorage);
+
+module.exports = TracerMock;
@@ -1,16 +1,21 @@
 'use strict';
 
+const zlib = require('zlib');
 const chai = require('chai');
 const sinon = require('sinon');
 const requireUncached = require('require-uncached');
 const ds = require('@google-cloud/datastore')();
 const nodeCacheManager = require('cache-manager');
 
-const { datastore, string } = require('../lib/utils');
+const { datastore, string, entry } = require('../lib/utils');
+const serializer = require('../lib/serializer');
 const { queries } = require('./mocks/datastore');
 const StoreMock = require('./mocks/cache-store');
 
 const { expect, assert } = chai;
+
+const itBrotli = typeof zlib.brotliCompressSync === 'function' ? it : it.skip;
+
 const metaQuery = {
     endCursor: 'Cj4SOGoWZ3N0b3JlLWNhY2hlLWUyZS10Z==',
     moreResults: 'MORE_RESULTS_AFTER_LIMIT',
@@ -25,6 +30,14 @@ describe('gstoreCache.queries', () => {
     let prefix;
 
     const [query1, query2, query3] = queries;
+    const ancestorKey = ds.key(['Parent', 123]);
+    const query1Sets = [
+        'Company',
+        '__namespace__:com.domain.dev',
+        '__namespace__:com.domain.dev:Company',
+        `__ancestor__:${datastore.dsKeyToString(ancestorKey)}`,
+        `__property__:com.domain.dev:Company:${string.hash('name=Sympresa')}`,
+    ];
 
     const methods = {
         fetchHandler() {
@@ -149,6 +162,43 @@ describe('gstoreCache.queries', () => {
             });
         });
 
+        it('should not save the TTL in the options object', () => {
+            const options = {};
+            gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { kinds: { User: { queries: 30 } } });
+            sinon.spy(gsCache.cacheManager, 'mset');
+
+            return gsCache.queries
+                .read(query2, options, methods.fetchHandler)
+                .then(() => gsCache.queries.read(query1, options, methods.fetchHandler))
+                .then(() => {
+                    const calls = gsCache.cacheManager.mset.getCalls().map(call => call.args);
+                    gsCache.cacheManager.mset.restore();
+
+                    expect(calls[0][2].ttl).equal(30);
+                    expect(calls[1][2].ttl).equal(5);
+                    expect(options).deep.equal({});
+                });
+        });
+
+        it('should add the ttl jitter only once when the options object is reused', () => {
+            const options = {};
+            gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { jitter: 2 });
+            sinon.stub(Math, 'random').returns(1);
+            sinon.spy(gsCache.cacheManager, 'mset');
+
+            return gsCache.queries
+                .read(query1, options, methods.fetchHandler)
+                .then(() => gsCache.queries.read(query2, options, methods.fetchHandler))
+                .then(() => {
+                    const calls = gsCache.cacheManager.mset.getCalls().map(call => call.args);
+                    gsCache.cacheManager.mset.restore();
+                    Math.random.restore();
+
+                    expect(calls[0][2].ttl).equal(7);
+                    expect(calls[1][2].ttl).equal(7);
+                });
+        });
+
         it('should set ttl dynamically when multistore', () =>
             new Promise(resolve => {
                 const stores = {};
@@ -189,8 +239,8 @@ describe('gstoreCache.queries', () => {
 
                         expect(typeof options.ttl).equal('function');
                         expect(optMemory.ttl).equal(1357);
-                        expect(argsRedis[1]).contains('setex');
-                        expect(argsRedis[1]).contains(2468);
+                        expect(argsRedis[argsRedis.length - 1]).contains('setex');
+                        expect(argsRedis[argsRedis.length - 1]).contains(2468);
 
                         return gsCache.queries.read(query1, { ttl: { memory: 4455, redis: 6677 } }).then(() => {
                             const options2 = gsCache.cacheManagerNoRedis.mset.getCall(0).args[2];
@@ -199,8 +249,8 @@ describe('gstoreCache.queries', () => {
 
                             expect(typeof options2.ttl).equal('function');
                             expect(optMemory2.ttl).equal(4455);
-                            expect(argsRedis2[1]).contains('setex');
-                            expect(argsRedis2[1]).contains(6677);
+                            expect(argsRedis2[argsRedis2.length - 1]).contains('setex');
+                            expect(argsRedis2[argsRedis2.length - 1]).contains(6677);
 
                             gsCache.cacheManagerNoRedis.mset.restore();
                             stores.memory.store.set.restore();
@@ -227,6 +277,317 @@ describe('gstoreCache.queries', () => {
             });
         });
 
+        it('should only run once the same query read concurrently', () => {
+            sinon.spy(gsCache, 'primeCache');
+
+            return Promise.all([
+                gsCache.queries.read(query1, methods.fetchHandler),
+                gsCache.queries.read(query1, methods.fetchHandler),
+                gsCache.queries.read(query1, methods.fetchHandler),
+            ]).then(results => {
+                expect(methods.fetchHandler.callCount).equal(1);
+                expect(gsCache.primeCache.callCount).equal(1);
+                results.forEach(result => {
+                    expect(result).equal(queryRes);
+                });
+
+                gsCache.primeCache.restore();
+            });
+        });
+
+        it('should run the query again once the pending fetch is done', () =>
+            Promise.all([
+                gsCache.queries.read(query1, methods.fetchHandler),
+                gsCache.queries.read(query2, methods.fetchHandler),
+            ])
+                .then(() => gsCache.cacheManager.reset())
+                .then(() => gsCache.queries.read(query1, methods.fetchHandler))
+                .then(() => {
+                    expect(methods.fetchHandler.callCount).equal(3);
+                }));
+
+        it('should save the query with its fingerprint in "safe" key encoding', () => {
+            gsCache.config.keyEncoding = 'safe';
+            const queryKey = prefix + datastore.queryFingerprint(query1);
+
+            return gsCache.queries.read(query1, methods.fetchHandler).then(() =>
+                cacheManager.get(queryKey).then(cacheResponse => {
+                    expect(cacheResponse).deep.equal(queryRes);
+                })
+            );
+        });
+
+        it('should put back Symbol keys on the entities from the cache', () => {
+            const myKey = ds.key(['User', 123]);
+            const data = [[{ name: 'John', __dsKey__: JSON.parse(JSON.stringify(myKey)) }], metaQuery];
+            cacheManager.set(queryToString(query1), data);
+
+            return gsCache.queries.read(query1, methods.fetchHandler).then(result => {
+                expect(result[0][0][ds.KEY]).deep.equal(myKey);
+                expect(ds.isKey(result[0][0][ds.KEY])).equal(true);
+                expect(typeof result[0][0].__dsKey__).equal('undefined');
+            });
+        });
+
+        it('should deserialize the query data from the cache', () => {
+            const date = new Date('2018-01-01');
+            const data = [[{ name: 'John', createdOn: date }], metaQuery];
+            // Simulate a query saved in Redis
+            cacheManager.set(queryToString(query1), JSON.parse(JSON.stringify(serializer.serialize(data))));
+
+            return gsCache.queries.read(query1, methods.fetchHandler).then(result => {
+                expect(result[0][0].createdOn).deep.equal(date);
+                expect(methods.fetchHandler.called).equal(false);
+            });
+        });
+
+        itBrotli('should compress the query data and keep the entities Keys', () => {
+            const myKey = ds.key(['User', 123]);
+            const entity = { name: 'John' };
+            entity[ds.KEY] = myKey;
+            methods.fetchHandler.resolves([[entity], metaQuery]);
+            gsCache.config.compression = { queries: { algorithm: 'brotli', threshold: 10 } };
+
+            return gsCache.queries
+                .read(query1, methods.fetchHandler)
+                .then(() => cacheManager.get(queryToString(query1)))
+                .then(cacheResponse => {
+                    expect(cacheResponse.__gcCompressed__).equal('brotli');
+                    return gsCache.queries.read(query1, methods.fetchHandler);
+                })
+                .then(result => {
+                    expect(methods.fetchHandler.callCount).equal(1);
+                    expect(result[0][0].name).equal('John');
+                    expect(result[0][0][ds.KEY]).deep.equal(myKey);
+                    expect(result[1]).deep.equal(metaQuery);
+                });
+        });
+
+        it('should only roll over the queries of the Entity Kind version bumped', () =>
+            gsCache.queries
+                .mset(query1, queryRes, query2, queryRes)
+                .then(() => {
+                    gsCache.bumpVersion('User');
+                    return gsCache.queries.mget(query1, query2);
+                })
+                .then(results => {
+                    expect(results[0]).deep.equal(queryRes);
+                    expect(results[1]).equal(undefined);
+                }));
+
+        context('when stale-while-revalidate', () => {
+            it('should serve the stale query and refresh it in the background', done => {
+                const staleRes = [[{ name: 'Old' }], metaQuery];
+                cacheManager.set(queryToString(query1), entry.create(staleRes, { expires: Date.now() - 1000 }));
+
+                gsCache.on('refresh', payload => {
+                    expect(payload.type).equal('queries');
+                    expect(payload.query).equal(query1);
+
+                    cacheManager.get(queryToString(query1)).then(cacheResponse => {
+                        expect(entry.isStale(cacheResponse)).equal(false);
+                        expect(entry.value(cacheResponse)).equal(queryRes);
+                        done();
+                    });
+                });
+
+                gsCache.queries.read(query1, { staleWhileRevalidate: 10 }, methods.fetchHandler).then(result => {
+                    expect(result).deep.equal(staleRes);
+                    expect(methods.fetchHandler.callCount).equal(1);
+                });
+            });
+
+            it('should emit "refreshError" when the refresh fails', done => {
+                const error = new Error('Houston we got an error');
+                cacheManager.set(queryToString(query1), entry.create(queryRes, { expires: Date.now() - 1000 }));
+                methods.fetchHandler.rejects(error);
+
+                gsCache.on('refreshError', (err, payload) => {
+                    expect(err).equal(error);
+                    expect(payload.query).equal(query1);
+                    done();
+                });
+
+                gsCache.queries.read(query1, { staleWhileRevalidate: 10 }, methods.fetchHandler);
+            });
+
+            it('should save the expiration date and extend the ttl with the stale period', () => {
+                sinon.spy(gsCache.cacheManager, 'mset');
+                gsCache.config.staleWhileRevalidate = 20;
+
+                return gsCache.queries.read(query1, methods.fetchHandler).then(result => {
+                    const { args } = gsCache.cacheManager.mset.getCall(0);
+                    expect(result).equal(queryRes);
+                    expect(entry.value(args[1])).equal(queryRes);
+                    expect(args[1].__gcMeta__.expires).above(Date.now() + 4000);
+                    expect(args[2].ttl).equal(25);
+
+                    gsCache.cacheManager.mset.restore();
+                });
+            });
+        });
+
+        context('when slidingExpiration', () => {
+            it('should extend the ttl of the query read from the cache', () => {
+                sinon.spy(gsCache, 'touch');
+                cacheManager.set(queryToString(query1), queryRes);
+
+                return gsCache.queries.read(query1, { slidingExpiration: true }, methods.fetchHandler).then(() => {
+                    const { args } = gsCache.touch.getCall(0);
+                    expect(args[0]).deep.equal([queryToString(query1)]);
+                    expect(args[1].ttl).equal(5);
+                    expect(methods.fetchHandler.called).equal(false);
+                    gsCache.touch.restore();
+                });
+            });
+
+            it('should not put back in the cache a query invalidated while it is read', () => {
+                const options = { slidingExpiration: true };
+
+                return gsCache.queries
+                    .read(query2, options, methods.fetchHandler)
+                    .then(() =>
+                        Promise.all([
+                            gsCache.queries.read(query2, options, methods.fetchHandler),
+                            gsCache.queries.clearQueriesEntityKind('User'),
+                        ])
+                    )
+                    .then(() => new Promise(resolve => setImmediate(resolve)))
+                    .then(() => cacheManager.get(queryToString(query2)))
+                    .then(value => {
+                        expect(value).equal(undefined);
+                    });
+            });
+
+            it('should not extend the ttl of a query not in the cache', () => {
+                sinon.spy(gsCache, 'touch');
+
+                return gsCache.queries.read(query1, { slidingExpiration: true }, methods.fetchHandler).then(() => {
+                    expect(gsCache.touch.called).equal(false);
+                    gsCache.touch.restore();
+                });
+            });
+        });
+
+        context('when earlyRefresh', () => {
+            it('should serve the query and refresh it in the background before it expires', done => {
+                const expiringRes = [[{ name: 'Old' }], metaQuery];
+                cacheManager.set(
+                    queryToString(query1),
+                    entry.create(expiringRes, { expires: Date.now() + 1000, delta: 2000 })
+                );
+                sinon.stub(Math, 'random').returns(0.5);
+
+                gsCache.on('refresh', payload => {
+                    expect(payload.query).equal(query1);
+
+                    cacheManager.get(queryToString(query1)).then(cacheResponse => {
+                        expect(entry.value(cacheResponse)).equal(queryRes);
+                        expect(typeof cacheResponse.__gcMeta__.delta).equal('number');
+                        done();
+                    });
+                });
+
+                gsCache.queries.read(query1, { earlyRefresh: 2 }, methods.fetchHandler).then(result => {
+                    Math.random.restore();
+                    expect(result[0][0].name).equal('Old');
+                    expect(methods.fetchHandler.callCount).equal(1);
+                });
+            });
+        });
+
+        context('when failOpen', () => {
+            const error = new Error('Connection lost');
+
+            beforeEach(done => {
+                gsCache = gstoreCache.init({ config: { stores: [StoreMock('memory', error)] } });
+
+                const onReady = () => {
+                    gsCache.removeListener('ready', onReady);
+                    done();
+                };
+                gsCache.on('ready', onReady);
+            });
+
+            afterEach(done => {
+                // Remove the failing store so the next init() creates the default store
+                gsCache.deleteCacheManager(done);
+            });
+
+            it('should run the query when the cache store fails', () => {
+                const onStoreError = sinon.spy();
+                gsCache.on('storeError', onStoreError);
+
+                return gsCache.queries.read(query1, { failOpen: true }, methods.fetchHandler).then(result => {
+                    expect(result).equal(queryRes);
+                    expect(onStoreError.callCount).equal(2);
+                });
+            });
+
+            it('should reject when the cache store fails (failOpen disabled)', () =>
+                gsCache.queries.read(query1, methods.fetchHandler).then(
+                    () => {
+                        throw new Error('should not get here');
+                    },
+                    err => {
+                        expect(err).equal(error);
+                        expect(methods.fetchHandler.called).equal(false);
+                    }
+                ));
+        });
+
+        context('events', () => {
+            it('should emit the "miss", "fetch", "set" and "hit" events', () => {
+                const events = [];
+                ['hit', 'miss', 'fetch', 'set'].forEach(event => {
+                    gsCache.on(event, payload => events.push([event, payload]));
+                });
+                const queryKey = queryToString(query1);
+
+                return gsCache.queries
+                    .read(query1, methods.fetchHandler)
+                    .then(() => gsCache.queries.read(query1, methods.fetchHandler))
+                    .then(() => {
+                        expect(events.map(([event]) => event)).deep.equal(['miss', 'fetch', 'set', 'hit']);
+                        expect(events[0][1]).deep.equal({ type: 'queries', kind: 'Company', key: queryKey });
+                        expect(events[1][1].keys).deep.equal([queryKey]);
+                        expect(events[1][1].kinds).deep.equal(['Company']);
+                        expect(events[2][1].key).equal(queryKey);
+                    });
+            });
+        });
+
+        context('statistics', () => {
+            beforeEach(() => {
+                gsCache.resetStats();
+            });
+
+            it('should count the hits, misses and fetches', () =>
+                gsCache.queries
+                    .read(query1, methods.fetchHandler)
+                    .then(() => gsCache.queries.read(query1, methods.fetchHandler))
+                    .then(() => gsCache.queries.mget(query1, query2))
+                    .then(() => {
+                        const { queries: stats } = gsCache.stats();
+                        expect(stats.hits).equal(2);
+                        expect(stats.misses).equal(2);
+                        expect(stats.fetches).equal(1);
+                        expect(stats.fetchLatency.count).equal(1);
+                        expect(stats.kinds.Company.hits).equal(2);
+                        expect(stats.kinds.Company.fetches).equal(1);
+                    }));
+
+            it('should count the errors', () => {
+                methods.fetchHandler.rejects(new Error('Houston we got an error'));
+
+                return gsCache.queries.read(query1, methods.fetchHandler).catch(() => {
+                    const { queries: stats } = gsCache.stats();
+                    expect(stats.errors).equal(1);
+                    expect(stats.kinds.Company.errors).equal(1);
+                });
+            });
+        });
+
         context('when redis cache present', () => {
             let cache;
 
@@ -265,13 +626,38 @@ describe('gstoreCache.queries', () => {
                         expect(args[0]).equal(queryKey);
                         expect(args[1][0][0]).contains(queryRes[0][0]);
                         expect(args[1][1]).equal(queryRes[1]);
-                        expect(args[2]).equal('Company');
+                        expect(args[2]).deep.equal(query1Sets);
                         expect(result).equal(queryRes);
                         done();
                     });
                 };
                 gsCache.on('ready', onReady);
             });
+
+            it('should only save once in the entity Kind Set the query read concurrently', done => {
+                cache = StoreMock('redis');
+
+                gsCache = gstoreCache.init({
+                    config: {
+                        stores: [cache],
+                    },
+                    datastore: ds,
+                });
+
+                const onReady = () => {
+                    gsCache.removeListener('ready', onReady);
+
+                    Promise.all([
+                        gsCache.queries.read(query1, methods.fetchHandler),
+                        gsCache.queries.read(query1, methods.fetchHandler),
+                    ]).then(() => {
+                        expect(methods.fetchHandler.callCount).equal(1);
+                        expect(gsCache.queries.kset.callCount).equal(1);
+                        done();
+                    });
+                };
+                gsCache.on('ready', onReady);
+            });
         });
     });
 
@@ -313,6 +699,21 @@ describe('gstoreCache.queries', () => {
                 })
             );
         });
+
+        it('should rebuild the Datastore Keys saved in JSON', () => {
+            const myKey = ds.key({ namespace: 'ns', path: ['Company', 'Google', 'User', ds.int('123456789')] });
+            // Simulate a Key saved in Redis without the serializer
+            queryRes[0][0].__dsKey__ = JSON.parse(JSON.stringify(myKey));
+
+            return gsCache.set(queryToString(query1), queryRes).then(() =>
+                gsCache.queries.get(query1).then(res => {
+                    const key = res[0][0][gsCache.ds.KEY];
+                    expect(ds.isKey(key)).equal(true);
+                    expect(ds.isKey(key.parent)).equal(true);
+                    expect(key).deep.equal(myKey);
+                })
+            );
+        });
     });
 
     describe('mget()', () => {
@@ -430,8 +831,8 @@ describe('gstoreCache.queries', () => {
 
                     expect(typeof options.ttl).equal('function');
                     expect(optMemory.ttl).equal(1357);
-                    expect(argsRedis[1]).contains('setex');
-                    expect(argsRedis[1]).contains(2468);
+                    expect(argsRedis[argsRedis.length - 1]).contains('setex');
+                    expect(argsRedis[argsRedis.length - 1]).contains(2468);
 
                     gsCache.cacheManagerNoRedis.mset.restore();
                     stores.memory.store.set.restore();
@@ -482,8 +883,26 @@ describe('gstoreCache.queries', () => {
                     expect(gsCache.queries.kset.called).equal(false);
 
                     const argsRedis = gsCache.redisClient.multi.getCall(0).args[0];
-                    expect(argsRedis[1]).contains('setex');
-                    expect(argsRedis[1]).contains(333);
+                    expect(argsRedis[argsRedis.length - 1]).contains('setex');
+                    expect(argsRedis[argsRedis.length - 1]).contains(333);
+
+                    gsCache.redisClient.multi.restore();
+                    gsCache.deleteCacheManager(() => {
+                        done();
+                    });
+                });
+            });
+
+            it('should add the ttl jitter to the Redis "setex"', done => {
+                gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { jitter: '10%' });
+                sinon.stub(Math, 'random').returns(0.5);
+                sinon.spy(gsCache.redisClient, 'multi');
+
+                gsCache.queries.set(query1, queryRes).then(() => {
+                    Math.random.restore();
+                    const argsRedis = gsCache.redisClient.multi.getCall(0).args[0];
+                    expect(argsRedis[argsRedis.length - 1]).contains('setex');
+                    expect(argsRedis[argsRedis.length - 1]).contains(350); // 333 + 10% * 0.5 (rounded)
 
                     gsCache.redisClient.multi.restore();
                     gsCache.deleteCacheManager(() => {
@@ -546,6 +965,22 @@ describe('gstoreCache.queries', () => {
             });
         });
 
+        it('should save separately the queries of the Entity Kinds with their own TTL', () => {
+            const queryRes2 = [[{ name: string.random() }], metaQuery];
+            gsCache.config.ttl = Object.assign({}, gsCache.config.ttl, { kinds: { User: { queries: 30 } } });
+            sinon.spy(gsCache, 'set');
+
+            return gsCache.queries.mset(query1, queryRes, query2, queryRes2).then(result => {
+                const calls = gsCache.set.getCalls().map(call => call.args);
+                gsCache.set.restore();
+
+                expect(calls.length).equal(2);
+                expect(calls.find(args => args[0] === queryToString(query1))[2].ttl).equal(5);
+                expect(calls.find(args => args[0] === queryToString(query2))[2].ttl).equal(30);
+                expect(result).deep.equal([queryRes, queryRes2]);
+            });
+        });
+
         context('when redis cache present', () => {
             let storeRedis;
 
@@ -589,12 +1024,12 @@ describe('gstoreCache.queries', () => {
                     expect(qKey).equal(queryKey);
                     expect(qValue[0][0]).contains(queryRes[0][0]);
                     expect(qValue[1]).equal(queryRes[1]);
-                    expect(qEntiyKind).equal('Company');
+                    expect(qEntiyKind).deep.equal(query1Sets);
 
                     const { args: args2 } = gsCache.queries.kset.getCall(1);
                     expect(args2[0]).equal(queryKey2);
                     expect(args2[1][0][0]).contains(queryRes2[0][0]);
-                    expect(args2[2]).equal('User');
+                    expect(args2[2]).deep.equal(['User', `__property__:User:${string.hash('name=john')}`]);
                     expect(result).deep.equal([queryRes, queryRes2]);
                 });
             });
@@ -731,12 +1166,13 @@ describe('gstoreCache.queries', () => {
 
         it('should return the response from Redis', () => {
             const response = 'OK';
-            redisClient.multi = () => ({
+            sinon.stub(redisClient, 'multi').callsFake(() => ({
                 exec: cb => cb(null, response),
-            });
+            }));
 
             return gsCache.queries.kset().then(res => {
                 expect(res).equal(response);
+                redisClient.multi.restore();
             });
         });
 
@@ -750,16 +1186,44 @@ describe('gstoreCache.queries', () => {
             });
         });
 
-        it('should throw an Error if no Redis client', done => {
+        it('should count the Redis command errors and emit a "storeError" event', () => {
+            const error = new Error('Houston');
+            const onStoreError = sinon.spy();
+            sinon.stub(redisClient, 'multi').callsFake(() => ({ exec: cb => cb(error) }));
+            gsCache.resetStats();
+            gsCache.on('storeError', onStoreError);
+
+            return gsCache.queries.kset().catch(() => {
+                expect(gsCache.stats().stores.redis.errors).equal(1);
+                expect(onStoreError.getCall(0).args).deep.equal([error, { store: 'redis' }]);
+                gsCache.removeListener('storeError', onStoreError);
+                redisClient.multi.restore();
+            });
+        });
+
+        it('should save the query in the cache if no Redis client', done => {
             gsCache = gstoreCache.init({});
 
             const onReady = () => {
                 gsCache.removeListener('ready', onReady);
+                const queryKey = queryToString(query1);
+                sinon.spy(gsCache, 'set');
 
-                gsCache.queries.kset().catch(err => {
-                    expect(err.message).equal('No Redis Client found.');
-                    done();
-                });
+                gsCache.queries
+                    .kset(queryKey, queryRes, 'User', { ttl: 600 })
+                    .then(() => {
+                        const { args } = gsCache.set.getCall(0);
+                        expect(args[0]).equal(queryKey);
+                        expect(args[1]).equal(queryRes);
+                        expect(args[2].ttl).equal(600);
+                        gsCache.set.restore();
+
+                        return gsCache.get(queryKey);
+                    })
+                    .then(result => {
+                        expect(result).deep.equal(queryRes);
+                        done();
+                    });
             };
             gsCache.on('ready', onReady);
         });
@@ -836,24 +1300,360 @@ describe('gstoreCache.queries', () => {
 
             gsCache.queries.clearQueriesEntityKind('User').catch(err => {
                 expect(err).equal(error);
+                redisClient.multi.restore();
                 redisClient.del.restore();
                 done();
             });
         });
 
-        it('should throw an Error if no Redis client', done => {
-            gsCache = gstoreCache.init({});
+        context('when no Redis client', () => {
+            beforeEach(done => {
+                gsCache = gstoreCache.init({ datastore: ds });
 
-            const onReady = () => {
-                gsCache.removeListener('ready', onReady);
+                const onReady = () => {
+                    gsCache.removeListener('ready', onReady);
+                    gsCache.reset(done);
+                };
+                gsCache.on('ready', onReady);
+            });
 
-                gsCache.queries.clearQueriesEntityKind('EntiyKind').catch(err => {
-                    expect(err.message).equal('No Redis Client found.');
-                    expect(err.code).equal('ERR_NO_REDIS');
-                    done();
+            it('should remove the queries read() or set() for the entityKind', () => {
+                const queryRes2 = [[{ name: string.random() }], metaQuery];
+                const queryRes3 = [[{ name: string.random() }], metaQuery];
+                methods.fetchHandler.restore();
+                sinon.stub(methods, 'fetchHandler').resolves(queryRes);
+
+                return Promise.all([
+                    gsCache.queries.read(query1, methods.fetchHandler),
+                    gsCache.queries.set(query2, queryRes2),
+                    gsCache.queries.mset(query3, queryRes3),
+                ])
+                    .then(() => gsCache.queries.clearQueriesEntityKind(['Company', 'User']))
+                    .then(res => {
+                        expect(res).equal(2);
+                        return gsCache.mget(queryToString(query1), queryToString(query2), queryToString(query3));
+                    })
+                    .then(results => {
+                        expect(typeof results[0]).equal('undefined');
+                        expect(typeof results[1]).equal('undefined');
+                        expect(results[2]).deep.equal(queryRes3);
+                    });
+            });
+
+            it('should prune the queries evicted from the cache from the Entity Kind index', () => {
+                // The default memory store keeps a maximum of 100 items
+                const queriesKeys = Array.from({ length: 3000 }, (_, i) => `query-${i}`);
+                const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+                return queriesKeys
+                    .reduce(
+                        (promise, queryKey) =>
+                            promise.then(nextTick).then(() => gsCache.queries.kset(queryKey, 'value', 'Order')),
+                        Promise.resolve()
+                    )
+                    .then(() => gsCache.queries.clearQueriesEntityKind('Order'))
+                    .then(res => {
+                        expect(res).most(1000);
+                    });
+            });
+
+            it('should remove the keys added with kset()', () =>
+                gsCache.queries
+                    .kset('website:home', { posts: [] }, ['Posts', 'Products'])
+                    .then(() => gsCache.queries.clearQueriesEntityKind('Products'))
+                    .then(res => {
+                        expect(res).equal(1);
+                        return gsCache.get('website:home');
+                    })
+                    .then(result => {
+                        expect(typeof result).equal('undefined');
+                        return gsCache.queries.clearQueriesEntityKind('Products');
+                    })
+                    .then(res => {
+                        expect(res).equal(0);
+                    }));
+
+            it('should only remove the queries of the Entity Kind in the namespace', () => {
+                const queryA = ds.createQuery('tenant-a', 'User').filter('name', 'john');
+                const queryB = ds.createQuery('tenant-b', 'User').filter('name', 'john');
+
+                return gsCache.queries
+                    .mset(queryA, queryRes, queryB, queryRes)
+                    .then(() => gsCache.queries.clearQueriesEntityKind('User', { namespace: 'tenant-a' }))
+                    .then(res => {
+                        expect(res).equal(1);
+                        return gsCache.mget(queryToString(queryA), queryToString(queryB));
+                    })
+                    .then(results => {
+                        expect(typeof results[0]).equal('undefined');
+                        expect(results[1]).deep.equal(queryRes);
+                    });
+            });
+        });
+    });
+
+    describe('clearQueriesForAncestor', () => {
+        const gstoreCache = requireUncached('../lib');
+        const ancestorSet = key => `${prefix}__ancestor__:${datastore.dsKeyToString(key)}`;
+
+        context('when redis cache present', () => {
+            beforeEach(ready => {
+                gsCache = gstoreCache.init({
+                    config: {
+                        stores: [StoreMock('redis')],
+                    },
                 });
-            };
-            gsCache.on('ready', onReady);
+
+                const onReady = () => {
+                    prefix = gsCache.config.cachePrefix.queries;
+                    ({ redisClient } = gsCache);
+                    gsCache.removeListener('ready', onReady);
+                    ready();
+                };
+                gsCache.on('ready', onReady);
+            });
+
+            it('should remove the queries of the Key and each of its ancestors Set', () => {
+                const key = ds.key(['Parent', 123, 'Company', 'abc']);
+                sinon.stub(redisClient, 'multi').callsFake(() => ({
+                    exec: cb => cb(null, [['abc'], ['def']]),
+                }));
+                sinon.stub(redisClient, 'del').callsFake((keys, cb) => cb(null, 4));
+
+                return gsCache.queries.clearQueriesForAncestor(key).then(res => {
+                    const { args: argsMulti } = redisClient.multi.getCall(0);
+                    const { args: argsDel } = redisClient.del.getCall(0);
+
+                    expect(argsMulti[0]).deep.equal([
+                        ['smembers', ancestorSet(key)],
+                        ['smembers', ancestorSet(ancestorKey)],
+                    ]);
+                    expect(argsDel[0]).include.members(['abc', 'def', ancestorSet(key), ancestorSet(ancestorKey)]);
+                    expect(res).equal(4);
+
+                    redisClient.multi.restore();
+                    redisClient.del.restore();
+                });
+            });
+        });
+
+        context('when no Redis client', () => {
+            beforeEach(ready => {
+                gsCache = gstoreCache.init({ datastore: ds });
+                queryRes = [[{ name: string.random() }], metaQuery];
+
+                const onReady = () => {
+                    prefix = gsCache.config.cachePrefix.queries;
+                    queryToString = query => prefix + datastore.dsQueryToString(query);
+                    gsCache.removeListener('ready', onReady);
+                    gsCache.reset(ready);
+                };
+                gsCache.on('ready', onReady);
+            });
+
+            it('should only remove the queries filtered by the ancestor', () =>
+                gsCache.queries
+                    .mset(query1, queryRes, query2, queryRes)
+                    .then(() => gsCache.queries.clearQueriesForAncestor(ds.key(['Parent', 123, 'Company', 'abc'])))
+                    .then(() => gsCache.mget(queryToString(query1), queryToString(query2)))
+                    .then(results => {
+                        expect(typeof results[0]).equal('undefined');
+                        expect(results[1]).deep.equal(queryRes);
+                    }));
+
+            it('should not remove the queries filtered by another ancestor', () =>
+                gsCache.queries
+                    .set(query1, queryRes)
+                    .then(() => gsCache.queries.clearQueriesForAncestor(ds.key(['Parent', 456])))
+                    .then(() => gsCache.get(queryToString(query1)))
+                    .then(result => {
+                        expect(result).deep.equal(queryRes);
+                    }));
+        });
+    });
+
+    describe('invalidateForEntity', () => {
+        const gstoreCache = requireUncached('../lib');
+        const propertySet = (kind, value) => `${prefix}__property__:${kind}:${string.hash(value)}`;
+        const openOrders = ds.createQuery('Order').filter('status', 'open');
+        const closedOrders = ds.createQuery('Order').filter('status', 'closed');
+        const cheapOrders = ds.createQuery('Order').filter('price', '<', 10);
+        const tagOrders = ds.createQuery('Order').filter('tags', 'gift');
+        const order = { status: 'open', tags: ['gift', 'urgent'], price: ds.int(25) };
+        order[ds.KEY] = ds.key(['Order', 123]);
+
+        context('when redis cache present', () => {
+            beforeEach(ready => {
+                gsCache = gstoreCache.init({
+                    config: {
+                        stores: [StoreMock('redis')],
+                    },
+                    datastore: ds,
+                });
+
+                const onReady = () => {
+                    prefix = gsCache.config.cachePrefix.queries;
+                    ({ redisClient } = gsCache);
+                    gsCache.removeListener('ready', onReady);
+                    ready();
+                };
+                gsCache.on('ready', onReady);
+            });
+
+            it('should remove the queries Sets of the entity properties values', () => {
+                sinon.stub(redisClient, 'multi').callsFake(() => ({
+                    exec: cb => cb(null, [['abc'], null, null, null, null]),
+                }));
+                sinon.stub(redisClient, 'del').callsFake((keys, cb) => cb(null, 6));
+
+                return gsCache.queries.invalidateForEntity(order).then(res => {
+                    const { args } = redisClient.multi.getCall(0);
+
+                    expect(args[0]).deep.equal([
+                        ['smembers', `${prefix}__unfiltered__:Order`],
+                        ['smembers', propertySet('Order', 'status=open')],
+                        ['smembers', propertySet('Order', 'tags=gift')],
+                        ['smembers', propertySet('Order', 'tags=urgent')],
+                        ['smembers', propertySet('Order', 'price=25')],
+                    ]);
+                    expect(res).equal(6);
+
+                    redisClient.multi.restore();
+                    redisClient.del.restore();
+                });
+            });
+
+            it('should remove the property Sets along with the Entity Kind Set', () => {
+                const exists = key => new Promise(resolve => redisClient.exists(key, (err, res) => resolve(res)));
+                const statusSet = propertySet('Order', 'status=open');
+
+                return gsCache.queries
+                    .set(openOrders, [[{ status: 'open' }], metaQuery])
+                    .then(() => exists(statusSet))
+                    .then(res => {
+                        expect(res).equal(1);
+                        return gsCache.queries.clearQueriesEntityKind('Order');
+                    })
+                    .then(() => exists(statusSet))
+                    .then(res => {
+                        expect(res).equal(0);
+                    });
+            });
+        });
+
+        context('when no Redis client', () => {
+            beforeEach(ready => {
+                gsCache = gstoreCache.init({ datastore: ds });
+                queryRes = [[{ name: string.random() }], metaQuery];
+
+                const onReady = () => {
+                    prefix = gsCache.config.cachePrefix.queries;
+                    queryToString = query => prefix + datastore.dsQueryToString(query);
+                    gsCache.removeListener('ready', onReady);
+                    gsCache.reset(ready);
+                };
+                gsCache.on('ready', onReady);
+            });
+
+            it('should only remove the queries matching the entity values', () =>
+                gsCache.queries
+                    .mset(openOrders, queryRes, closedOrders, queryRes, cheapOrders, queryRes, tagOrders, queryRes)
+                    .then(() => gsCache.queries.invalidateForEntity(order))
+                    .then(() =>
+                        gsCache.mget(
+                            queryToString(openOrders),
+                            queryToString(closedOrders),
+                            queryToString(cheapOrders),
+                            queryToString(tagOrders)
+                        )
+                    )
+                    .then(results => {
+                        expect(typeof results[0]).equal('undefined');
+                        expect(results[1]).deep.equal(queryRes);
+                        expect(typeof results[2]).equal('undefined');
+                        expect(typeof results[3]).equal('undefined');
+                    }));
+
+            it('should remove the queries filtered on an embedded property', () => {
+                const parisOrders = ds.createQuery('Order').filter('address.city', 'Paris');
+                const londonOrders = ds.createQuery('Order').filter('address.city', 'London');
+                const parisOrder = { address: { city: 'Paris', zip: '75001' } };
+                parisOrder[ds.KEY] = ds.key(['Order', 456]);
+
+                return gsCache.queries
+                    .mset(parisOrders, queryRes, londonOrders, queryRes)
+                    .then(() => gsCache.queries.invalidateForEntity(parisOrder))
+                    .then(() => gsCache.mget(queryToString(parisOrders), queryToString(londonOrders)))
+                    .then(results => {
+                        expect(typeof results[0]).equal('undefined');
+                        expect(results[1]).deep.equal(queryRes);
+                    });
+            });
+
+            it('should emit the "invalidate" event', () => {
+                const onInvalidate = sinon.spy();
+                gsCache.on('invalidate', onInvalidate);
+
+                return gsCache.queries.clearQueriesEntityKind('User').then(() => {
+                    expect(onInvalidate.getCall(0).args[0]).deep.equal({
+                        type: 'queries',
+                        kinds: ['User'],
+                        sets: ['User'],
+                    });
+                });
+            });
+
+            it('should count the invalidation of the Entity Kind', () => {
+                gsCache.resetStats();
+
+                return gsCache.queries
+                    .invalidateForEntity(order)
+                    .then(() => gsCache.queries.clearQueriesEntityKind(['User', '__namespace__:ns']))
+                    .then(() => {
+                        const { queries: stats } = gsCache.stats();
+                        expect(stats.invalidations).equal(2);
+                        expect(stats.kinds.Order.invalidations).equal(1);
+                        expect(stats.kinds.User.invalidations).equal(1);
+                        expect(Object.keys(stats.kinds)).deep.equal(['Order', 'User']);
+                    });
+            });
+
+            it('should remove the queries matching the previous entity values', () => {
+                const previousOrder = Object.assign({}, order, { status: 'closed' });
+
+                return gsCache.queries
+                    .mset(openOrders, queryRes, closedOrders, queryRes)
+                    .then(() => gsCache.queries.invalidateForEntity(order, previousOrder))
+                    .then(() => gsCache.mget(queryToString(openOrders), queryToString(closedOrders)))
+                    .then(results => {
+                        expect(typeof results[0]).equal('undefined');
+                        expect(typeof results[1]).equal('undefined');
+                    });
+            });
+
+            it('should match Datastore Int filter values with native numbers', () => {
+                const priceOrders = ds.createQuery('Order').filter('price', ds.int(25));
+                const entity = { price: 25 };
+                entity[ds.KEY] = ds.key(['Order', 456]);
+
+                return gsCache.queries
+                    .set(priceOrders, queryRes)
+                    .then(() => gsCache.queries.invalidateForEntity(entity))
+                    .then(() => gsCache.get(queryToString(priceOrders)))
+                    .then(result => {
+                        expect(typeof result).equal('undefined');
+                    });
+            });
+
+            it('should reject if the entity does not have a Datastore Key', () =>
+                gsCache.queries.invalidateForEntity({ status: 'open' }).then(
+                    () => {
+                        throw new Error('should not get here');
+                    },
+                    err => {
+                        expect(err.message).equal('The entity does not have a Datastore Key');
+                    }
+                ));
         });
     });
 });
@@ -0,0 +1,97 @@
+'use strict';
+
+const chai = require('chai');
+const ds = require('@google-cloud/datastore')();
+
+const { serialize, deserialize } = require('../lib/serializer');
+const { otherDatastore } = require('./mocks/datastore');
+
+const { expect } = chai;
+
+// Simulate a value saved in Redis
+const jsonRoundTrip = value => deserialize(JSON.parse(JSON.stringify(serialize(value))));
+
+describe('serializer', () => {
+    it('should preserve the Datastore types and the native types', () => {
+        const entity = {
+            name: 'John',
+            createdOn: new Date('2018-01-01'),
+            picture: Buffer.from('abc'),
+            score: ds.int('123'),
+            ratio: ds.double(1.5),
+            location: ds.geoPoint({ latitude: 40.6894, longitude: -74.0447 }),
+            company: ds.key({ namespace: 'ns', path: ['Company', 'Google', 'Team', ds.int('456')] }),
+            tags: ['a', new Date('2018-01-02')],
+            address: { city: 'London', updatedOn: new Date('2018-01-03') },
+            empty: null,
+            infinite: Infinity,
+        };
+
+        const result = jsonRoundTrip(entity);
+
+        expect(result).deep.equal(entity);
+        expect(result.createdOn).instanceOf(Date);
+        expect(Buffer.isBuffer(result.picture)).equal(true);
+        expect(ds.isInt(result.score)).equal(true);
+        expect(ds.isDouble(result.ratio)).equal(true);
+        expect(ds.isGeoPoint(result.location)).equal(true);
+        expect(ds.isKey(result.company)).equal(true);
+        expect(ds.isKey(result.company.parent)).equal(true);
+        expect(result.address.updatedOn).instanceOf(Date);
+    });
+
+    it('should use the types of the Datastore instance passed', () => {
+        const appDs = otherDatastore();
+        const entity = {
+            score: appDs.int('123'),
+            ratio: appDs.double(1.5),
+            location: appDs.geoPoint({ latitude: 40.6894, longitude: -74.0447 }),
+            company: appDs.key(['Company', 'Google']),
+        };
+        entity[appDs.KEY] = appDs.key(['User', 123]);
+
+        const result = deserialize(JSON.parse(JSON.stringify(serialize(entity, appDs))), appDs);
+
+        expect(ds.isKey(entity.company)).equal(false);
+        expect(appDs.isInt(result.score)).equal(true);
+        expect(appDs.isDouble(result.ratio)).equal(true);
+        expect(appDs.isGeoPoint(result.location)).equal(true);
+        expect(appDs.isKey(result.company)).equal(true);
+        expect(result.company.name).equal('Google');
+    });
+
+    it('should distinguish Key ids returned by the Datastore from Key names', () => {
+        const key = ds.key(['User', ds.int('123')]);
+        const result = jsonRoundTrip(key);
+
+        expect(result.id).equal('123');
+        expect(typeof result.name).equal('undefined');
+        expect(jsonRoundTrip(ds.key(['User', 123])).id).equal(123);
+        expect(jsonRoundTrip(ds.key(['User', '123'])).name).equal('123');
+    });
+
+    it('should not confuse objects with a "__gcType__" property with a tagged value', () => {
+        const value = { __gcType__: 'Date', value: 'abc' };
+        expect(jsonRoundTrip(value)).deep.equal(value);
+    });
+
+    it('should return the same object if there is nothing to serialize', () => {
+        const entity = { name: 'John', tags: ['a', 'b'], address: { city: 'London' } };
+        entity[ds.KEY] = ds.key(['User', 123]);
+
+        expect(serialize(entity)).equal(entity);
+        expect(deserialize(entity)).equal(entity);
+    });
+
+    it('should keep the Datastore KEY Symbol and not mutate the value', () => {
+        const createdOn = new Date();
+        const entity = { name: 'John', createdOn };
+        entity[ds.KEY] = ds.key(['User', 123]);
+
+        const serialized = serialize(entity);
+
+        expect(serialized[ds.KEY]).equal(entity[ds.KEY]);
+        expect(entity.createdOn).equal(createdOn);
+        expect(deserialize(serialized)).deep.equal(entity);
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const chai = require('chai');
+
+const gstoreCacheStats = require('../lib/stats');
+
+const { expect } = chai;
+
+describe('stats', () => {
+    let collector;
+
+    beforeEach(() => {
+        collector = gstoreCacheStats();
+    });
+
+    it('should count by type and by Entity Kind', () => {
+        collector.hit('keys', ['User', 'User', 'Post']);
+        collector.miss('keys', ['User']);
+        collector.partialHit('keys', ['User']);
+        collector.error('queries', ['Post']);
+        collector.invalidation('queries');
+
+        const stats = collector.get();
+        expect(stats.keys.hits).equal(1);
+        expect(stats.keys.misses).equal(1);
+        expect(stats.keys.partialHits).equal(1);
+        expect(stats.keys.kinds.User.hits).equal(1);
+        expect(stats.keys.kinds.Post.hits).equal(1);
+        expect(stats.keys.kinds.User.misses).equal(1);
+        expect(stats.queries.errors).equal(1);
+        expect(stats.queries.kinds.Post.errors).equal(1);
+        expect(stats.queries.invalidations).equal(1);
+        expect(stats.queries.kinds).not.have.property('undefined');
+    });
+
+    it('should observe the fetch latency in cumulative buckets', () => {
+        collector.fetch('keys', ['User'], 8);
+        collector.fetch('keys', ['User'], 300);
+        collector.fetch('keys', ['Post'], 20000);
+
+        const { keys } = collector.get();
+        expect(keys.fetches).equal(3);
+        expect(keys.fetchLatency.count).equal(3);
+        expect(keys.fetchLatency.sum).equal(20308);
+        expect(keys.fetchLatency.buckets['5']).equal(0);
+        expect(keys.fetchLatency.buckets['10']).equal(1);
+        expect(keys.fetchLatency.buckets['500']).equal(2);
+        expect(keys.fetchLatency.buckets['10000']).equal(2);
+        expect(keys.fetchLatency.buckets['+Inf']).equal(3);
+        expect(keys.kinds.User.fetchLatency.count).equal(2);
+        expect(keys.kinds.Post.fetches).equal(1);
+    });
+
+    it('should count the hits and misses of a store', () => {
+        const store = {
+            get: (key, cb) => cb(null, key === 'found' ? 'value' : undefined),
+            mget: (...keys) => Promise.resolve(keys.map(key => (key === 'found' ? 'value' : undefined))),
+        };
+        collector.watchStore(store, 'memory');
+        collector.watchStore(store, 'memory'); // only wrapped once
+
+        return new Promise(resolve => store.get('found', resolve))
+            .then(() => store.mget('found', 'missing', 'missing'))
+            .then(values => {
+                expect(values).deep.equal(['value', undefined, undefined]);
+                expect(collector.get().stores.memory).deep.equal({ hits: 2, misses: 2, errors: 0 });
+            });
+    });
+
+    it('should return a copy of the stats and reset them', () => {
+        collector.hit('keys', ['User']);
+        const stats = collector.get();
+        stats.keys.hits = 10;
+
+        expect(collector.get().keys.hits).equal(1);
+
+        collector.reset();
+        expect(collector.get().keys.hits).equal(0);
+        expect(collector.get().keys.kinds).deep.equal({});
+    });
+});
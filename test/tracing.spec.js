@@ -0,0 +1,136 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const ds = require('@google-cloud/datastore')();
+
+const gstoreCache = require('../lib');
+const { datastore } = require('../lib/utils');
+const { keys, entities, queries } = require('./mocks/datastore');
+const TracerMock = require('./mocks/tracer');
+
+const { expect } = chai;
+
+describe('tracing', () => {
+    let gsCache;
+    let tracer;
+    let keyToString;
+
+    const [key1, key2] = keys;
+    const [entity1, entity2] = entities;
+    const [query1] = queries;
+    const span = name => tracer.spans.find(s => s.name === name);
+
+    beforeEach(done => {
+        tracer = TracerMock();
+        gsCache = gstoreCache.init({ datastore: ds, config: { tracer } });
+
+        const onReady = () => {
+            keyToString = key => gsCache.config.cachePrefix.keys + datastore.dsKeyToString(key);
+            gsCache.removeListener('ready', onReady);
+            done();
+        };
+        gsCache.on('ready', onReady);
+    });
+
+    afterEach(() => {
+        gsCache.removeAllListeners();
+    });
+
+    it('should trace keys.read()', () =>
+        gsCache.cacheManager
+            .set(keyToString(key1), entity1)
+            .then(() => gsCache.keys.read([key1, key2], () => Promise.resolve([entity2])))
+            .then(() => {
+                const readSpan = span('gstore-cache.keys.read');
+
+                expect(readSpan.attributes).deep.equal({
+                    'gstore_cache.stores': ['memory'],
+                    'gstore_cache.type': 'keys',
+                    'gstore_cache.kinds': ['User'],
+                    'gstore_cache.keys': 2,
+                    'gstore_cache.hits': 1,
+                    'gstore_cache.misses': 1,
+                    'gstore_cache.fetched': 1,
+                });
+                expect(readSpan.status).equal(undefined);
+            }));
+
+    // The propagation of the active span needs an async context (AsyncLocalStorage)
+    const itAsyncContext = TracerMock.hasAsyncContext ? it : it.skip;
+
+    itAsyncContext('should propagate the span to the fetchHandler', () => {
+        let fetchSpan;
+        const fetchHandler = () => {
+            fetchSpan = tracer.activeSpan();
+            return Promise.resolve([entity1]);
+        };
+
+        return gsCache.keys.read(key1, fetchHandler).then(() => {
+            expect(fetchSpan).equal(span('gstore-cache.keys.read'));
+        });
+    });
+
+    it('should set the error status of the span', () => {
+        const error = new Error('Houston we got an error');
+
+        return gsCache.keys.read(key1, () => Promise.reject(error)).catch(() => {
+            const readSpan = span('gstore-cache.keys.read');
+
+            expect(readSpan.exceptions).deep.equal([error]);
+            expect(readSpan.status).deep.equal({ code: 2, message: error.message });
+        });
+    });
+
+    it('should trace queries.read()', () => {
+        const fetchHandler = sinon.stub().resolves([[entity1, entity2], {}]);
+
+        return gsCache.queries
+            .read(query1, fetchHandler)
+            .then(() => gsCache.queries.read(query1, fetchHandler))
+            .then(() => {
+                const [miss, hit] = tracer.spans.filter(s => s.name === 'gstore-cache.queries.read');
+
+                expect(miss.attributes['gstore_cache.kinds']).deep.equal(['Company']);
+                expect(miss.attributes['gstore_cache.hit']).equal(false);
+                expect(miss.attributes['gstore_cache.fetched']).equal(2);
+                expect(hit.attributes['gstore_cache.hit']).equal(true);
+                expect(hit.attributes).not.have.property('gstore_cache.fetched');
+            });
+    });
+
+    it('should trace the cache-manager methods (Promise and callback)', done => {
+        gsCache
+            .mset('key1', 'value1', 'key2', 'value2', { ttl: 60 })
+            .then(() => gsCache.mget('key1', 'key3'))
+            .then(() => gsCache.del(['key1', 'key2']))
+            .then(() => {
+                expect(span('gstore-cache.mset').attributes['gstore_cache.keys']).equal(2);
+                expect(span('gstore-cache.mget').attributes['gstore_cache.keys']).equal(2);
+                expect(span('gstore-cache.mget').attributes['gstore_cache.hits']).equal(1);
+                expect(span('gstore-cache.del').attributes['gstore_cache.keys']).equal(2);
+
+                gsCache.set('key3', 'value3', () => {
+                    gsCache.get('key3', (err, value) => {
+                        expect(value).equal('value3');
+                        expect(span('gstore-cache.set').attributes['gstore_cache.keys']).equal(1);
+                        expect(span('gstore-cache.get').attributes['gstore_cache.hit']).equal(true);
+                        done();
+                    });
+                });
+            });
+    });
+
+    it('should trace kset() and clearQueriesEntityKind()', () =>
+        gsCache.queries
+            .kset('query-key', 'value', ['User', '__namespace__:ns'])
+            .then(() => gsCache.queries.clearQueriesEntityKind(['User']))
+            .then(() => {
+                expect(span('gstore-cache.kset').attributes['gstore_cache.kinds']).deep.equal(['User']);
+                expect(span('gstore-cache.clearQueriesEntityKind').attributes['gstore_cache.kinds']).deep.equal([
+                    'User',
+                ]);
+                // The cache-manager calls inside are child spans
+                expect(span('gstore-cache.set').parent).equal(span('gstore-cache.kset'));
+            }));
+});
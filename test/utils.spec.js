@@ -1,6 +1,9 @@
 'use strict';
 
 const chai = require('chai');
+const sinon = require('sinon');
+
+const ds = require('@google-cloud/datastore')();
 
 const utils = require('../lib/utils');
 const { keys, queries } = require('./mocks/datastore');
@@ -10,6 +13,7 @@ const [key1, , , , key5] = keys;
 
 const { expect } = chai;
 const { dsKeyToString, dsQueryToString } = utils.datastore;
+const { entry } = utils;
 
 describe('utils', () => {
     describe('dsKeyToString', () => {
@@ -27,6 +31,56 @@ describe('utils', () => {
         });
     });
 
+    describe('dsKeyFromObject', () => {
+        const { dsKeyFromObject } = utils.datastore;
+
+        it('should rebuild a Datastore Key from a Key saved in JSON', () => {
+            const key = ds.key({ namespace: 'ns', path: ['Company', 'Google', 'User', ds.int('123')] });
+            const result = dsKeyFromObject(JSON.parse(JSON.stringify(key)));
+
+            expect(ds.isKey(result)).equal(true);
+            expect(result).deep.equal(key);
+            expect(result.id).equal('123');
+            expect(result.parent.name).equal('Google');
+        });
+
+        it('should return the object if it is not a Key', () => {
+            const object = { id: 123 };
+            expect(dsKeyFromObject(object)).equal(object);
+            expect(dsKeyFromObject(key1)).equal(key1);
+        });
+    });
+
+    describe('dsKeyToString (safe encoding)', () => {
+        const toString = (key, hash = false) => dsKeyToString(key, { encoding: 'safe', hash });
+
+        it('should not have collisions between Key paths', () => {
+            expect(toString(ds.key(['Task', 12]))).not.equal(toString(ds.key(['Task1', 2])));
+            expect(toString(ds.key(['Task', 'a/b']))).not.equal(toString(ds.key(['Task', 'a', 'b', 'c'])));
+        });
+
+        it('should distinguish numeric ids from names', () => {
+            expect(toString(ds.key(['Task', 123]))).not.equal(toString(ds.key(['Task', '123'])));
+            expect(toString(ds.key(['Task', 123]))).equal('/Task:i123');
+            expect(toString(ds.key(['Task', '123']))).equal('/Task:n123');
+        });
+
+        it('should add the namespace and the ancestors', () => {
+            expect(toString(key1)).equal('ns/User:i111');
+            expect(toString(key5)).equal('/GranDad:nJohn/Dad:nMick/User:i555');
+        });
+
+        it('should use a sha256 hash', () => {
+            expect(toString(key1, true)).equal(utils.string.sha256('ns/User:i111'));
+            expect(toString(key1, true).length).equal(64);
+        });
+
+        it('should throw an error if the encoding is unknown', () => {
+            const fn = () => dsKeyToString(key1, { encoding: 'foo' });
+            expect(fn).throw('Unknown key encoding "foo".');
+        });
+    });
+
     describe('dsQueryToString', () => {
         it('should convert the query to string', () => {
             const str1 = dsQueryToString(query1, { hash: false });
@@ -40,4 +94,285 @@ describe('utils', () => {
             expect(str3).equal('Task||__key__>TasksomeTask||-1|-1||__key__||');
         });
     });
+
+    describe('queryFingerprint', () => {
+        const { queryFingerprint } = utils.datastore;
+        const fingerprint = query => queryFingerprint(query, { hash: false });
+
+        it('should ignore the order of the filters and of the projection', () => {
+            const q1 = ds
+                .createQuery('User')
+                .filter('name', 'john')
+                .filter('age', '>', 20)
+                .select(['name', 'age']);
+            const q2 = ds
+                .createQuery('User')
+                .filter('age', '>', 20)
+                .filter('name', 'john')
+                .select(['age', 'name']);
+
+            expect(queryFingerprint(q1)).equal(queryFingerprint(q2));
+        });
+
+        it('should not ignore the order of the sort orders', () => {
+            const q1 = ds
+                .createQuery('User')
+                .order('name')
+                .order('age');
+            const q2 = ds
+                .createQuery('User')
+                .order('age')
+                .order('name');
+
+            expect(queryFingerprint(q1)).not.equal(queryFingerprint(q2));
+        });
+
+        it('should tag the filter values with their type', () => {
+            const date = new Date('2018-01-01');
+            const byValue = value => fingerprint(ds.createQuery('User').filter('prop', value));
+
+            expect(byValue(date)).not.equal(byValue(date.toString()));
+            expect(byValue(ds.int(123))).equal(byValue(123));
+            expect(byValue(ds.double(1.5))).equal(byValue(1.5));
+            expect(byValue(ds.double(1))).not.equal(byValue(1));
+            expect(byValue({ a: 1 })).not.equal(byValue({ a: 2 }));
+            expect(byValue([1, 2])).not.equal(byValue('1,2'));
+            expect(byValue(Buffer.from('abc'))).not.equal(byValue(Buffer.from('abd')));
+            expect(byValue(ds.key(['Task', 12]))).not.equal(byValue(ds.key(['Task1', 2])));
+            expect(byValue(ds.geoPoint({ latitude: 1, longitude: 2 }))).not.equal(
+                byValue(ds.geoPoint({ latitude: 2, longitude: 1 }))
+            );
+        });
+
+        it('should include the namespace and the transaction of the query', () => {
+            const transaction = ds.transaction();
+            transaction.id = 'abc';
+
+            expect(fingerprint(ds.createQuery('ns', 'User'))).not.equal(fingerprint(ds.createQuery('User')));
+            expect(fingerprint(transaction.createQuery('User'))).not.equal(fingerprint(ds.createQuery('User')));
+        });
+
+        it('should return a sha256 hash', () => {
+            expect(queryFingerprint(query1)).equal(utils.string.sha256(fingerprint(query1)));
+        });
+    });
+
+    describe('dsValueToString', () => {
+        it('should convert Datastore types to the string of their native value', () => {
+            const { dsValueToString } = utils.datastore;
+            const date = new Date();
+
+            expect(dsValueToString(ds.int(123))).equal(dsValueToString(123));
+            expect(dsValueToString(ds.double(1.5))).equal(dsValueToString(1.5));
+            expect(dsValueToString(date)).equal(String(date.getTime()));
+            expect(dsValueToString(ds.key(['User', 123]))).equal('User123');
+            expect(dsValueToString({ a: 1 })).equal('{"a":1}');
+        });
+    });
+
+    describe('getQueryAncestor', () => {
+        it('should return the ancestor Key of the query', () => {
+            const ancestor = utils.datastore.getQueryAncestor(query1);
+
+            expect(ancestor.path).deep.equal(['Parent', 123]);
+            expect(typeof utils.datastore.getQueryAncestor(query2)).equal('undefined');
+        });
+    });
+
+    describe('getKeyPath', () => {
+        it('should return the Key and its ancestors', () => {
+            const path = utils.datastore.getKeyPath(key5);
+
+            expect(path.map(k => k.path)).deep.equal([
+                ['GranDad', 'John', 'Dad', 'Mick', 'User', 555],
+                ['GranDad', 'John', 'Dad', 'Mick'],
+                ['GranDad', 'John'],
+            ]);
+        });
+    });
+
+    describe('version.prefix', () => {
+        it('should return the prefix of the global and the Entity Kind versions', () => {
+            const config = { version: 2, kindVersions: { User: 3 } };
+
+            expect(utils.version.prefix(config, 'User')).equal('v2:k3:');
+            expect(utils.version.prefix(config, 'Post')).equal('v2:');
+            expect(utils.version.prefix({ version: 0, kindVersions: {} }, 'User')).equal('');
+        });
+    });
+
+    describe('ttl.getTTL', () => {
+        const { getTTL } = utils.ttl;
+        const ttl = {
+            keys: 600,
+            queries: 5,
+            stores: { memory: { keys: 300, queries: 5 }, redis: { keys: 900, queries: 0 } },
+            kinds: { Session: { keys: 30, queries: { redis: 10 } }, Config: { queries: 3600 } },
+        };
+        const cache = { config: { stores: [{}], ttl } };
+        const multiStoresCache = { config: { stores: [{}, {}], ttl } };
+
+        it('should return the ttl of the Entity Kind', () => {
+            expect(getTTL(cache, {}, 'keys', 'Session')).equal(30);
+            expect(getTTL(cache, {}, 'queries', 'Config')).equal(3600);
+            expect(getTTL(multiStoresCache, {}, 'keys', 'Session')).equal(30);
+        });
+
+        it('should return the ttl of the type if the Entity Kind has no ttl', () => {
+            expect(getTTL(cache, {}, 'keys', 'Config')).equal(600);
+            expect(getTTL(cache, {}, 'keys', 'User')).equal(600);
+            expect(getTTL(cache, {}, 'keys')).equal(600);
+        });
+
+        it('should map the stores for the Entity Kind in multi-stores', () => {
+            const fn = getTTL(multiStoresCache, {}, 'queries', 'Session');
+
+            expect(fn(null, 'redis')).equal(10);
+            expect(fn(null, 'memory')).equal(5); // store not in the Kind config
+        });
+
+        it('should give the priority to the options ttl', () => {
+            expect(getTTL(cache, { ttl: 99 }, 'keys', 'Session')).equal(99);
+        });
+
+        it('should add the jitter of the config', () => {
+            const jitterCache = { config: { stores: [{}], ttl: Object.assign({}, ttl, { jitter: 60 }) } };
+            const jitterMultiStoresCache = { config: { stores: [{}, {}], ttl: jitterCache.config.ttl } };
+            sinon.stub(Math, 'random').returns(0.5);
+
+            const keysTTL = getTTL(jitterCache, {}, 'keys');
+            const fn = getTTL(jitterMultiStoresCache, {}, 'keys');
+            const queriesTTL = getTTL(jitterCache, {}, 'queries');
+            const optionsTTL = getTTL(jitterCache, { ttl: 100 }, 'keys');
+            const redisTTL = fn(null, 'redis');
+            Math.random.restore();
+
+            expect(keysTTL).equal(630);
+            expect(redisTTL).equal(930);
+            expect(queriesTTL).equal(35);
+            expect(optionsTTL).equal(130);
+        });
+    });
+
+    describe('ttl.addJitter', () => {
+        const { addJitter } = utils.ttl;
+
+        afterEach(() => {
+            if (Math.random.restore) {
+                Math.random.restore();
+            }
+        });
+
+        it('should add a random number of seconds up to the jitter', () => {
+            sinon.stub(Math, 'random').returns(1);
+            expect(addJitter(600, 30)).equal(630);
+            Math.random.returns(0);
+            expect(addJitter(600, 30)).equal(600);
+        });
+
+        it('should add a percentage of the ttl', () => {
+            sinon.stub(Math, 'random').returns(1);
+            expect(addJitter(600, '10%')).equal(660);
+        });
+
+        it('should not change an infinite ttl or without jitter', () => {
+            expect(addJitter(0, 30)).equal(0);
+            expect(addJitter(600, 0)).equal(600);
+            expect(addJitter(600)).equal(600);
+        });
+    });
+
+    describe('ttl.getMaxTTL', () => {
+        const { getMaxTTL } = utils.ttl;
+        const ttl = {
+            keys: 600,
+            stores: { memory: { keys: 300 }, redis: { keys: 900 } },
+            jitter: '10%',
+        };
+
+        it('should return the ttl of the store with the maximum jitter', () => {
+            expect(getMaxTTL({ config: { stores: [{}], ttl } }, {}, 'keys')).equal(660);
+            expect(getMaxTTL({ config: { stores: [{}, {}], ttl } }, {}, 'keys', undefined, 'redis')).equal(990);
+        });
+
+        it('should not change an infinite ttl', () => {
+            const cache = { config: { stores: [{}], ttl: Object.assign({}, ttl, { keys: 0 }) } };
+            expect(getMaxTTL(cache, {}, 'keys')).equal(0);
+        });
+    });
+
+    describe('entry', () => {
+        const cache = { config: { stores: [{}, {}] } };
+
+        it('should unwrap the value of a cache entry', () => {
+            const value = { name: 'john' };
+            expect(entry.value(entry.create(value, {}))).equal(value);
+            expect(entry.value(value)).equal(value);
+        });
+
+        it('should detect stale entries', () => {
+            expect(entry.isStale(entry.create({}, { expires: Date.now() - 1 }))).equal(true);
+            expect(entry.isStale(entry.create({}, { expires: Date.now() + 1000 }))).equal(false);
+            expect(entry.isStale(entry.create({}, {}))).equal(false);
+            expect(entry.isStale({ name: 'john' })).equal(false);
+        });
+
+        it('should detect the entries to refresh early', () => {
+            const expiring = entry.create({}, { expires: Date.now() + 1000, delta: 2000 });
+            sinon.stub(Math, 'random').returns(0.5);
+
+            expect(entry.isEarlyRefresh(expiring, true)).equal(true);
+            expect(entry.isEarlyRefresh(expiring, false)).equal(false);
+            expect(entry.isEarlyRefresh(entry.create({}, { expires: Date.now() + 1000 }), true)).equal(false);
+            expect(entry.isEarlyRefresh({ name: 'john' }, true)).equal(false);
+            Math.random.returns(0.9);
+            expect(entry.isEarlyRefresh(expiring, true)).equal(false);
+            expect(entry.isEarlyRefresh(expiring, 10)).equal(true);
+            Math.random.restore();
+        });
+
+        it('should wrap the values with their metadata if "earlyRefresh"', () => {
+            const [entries, cacheOptions] = entry.prepare(
+                cache,
+                [{ name: 'john' }],
+                { ttl: 600, earlyRefresh: true },
+                { delta: 120 }
+            );
+
+            expect(entries[0].__gcMeta__.delta).equal(120);
+            expect(entries[0].__gcMeta__.expires).within(Date.now() + 599000, Date.now() + 600000);
+            expect(cacheOptions.ttl).equal(600);
+        });
+
+        it('should not wrap the values if not "stale-while-revalidate"', () => {
+            const values = [{ name: 'john' }];
+            const options = { ttl: 600 };
+            const [entries, cacheOptions] = entry.prepare(cache, values, options);
+
+            expect(entries).equal(values);
+            expect(cacheOptions).equal(options);
+        });
+
+        it('should not wrap the values if infinite ttl', () => {
+            const values = [{ name: 'john' }];
+            const [entries] = entry.prepare(cache, values, { ttl: 0, staleWhileRevalidate: 60 });
+
+            expect(entries).equal(values);
+        });
+
+        it('should extend the ttl for each store with the stale period', () => {
+            const storesTTL = { memory: 300, redis: 0 };
+            cache.config.stores = [{ store: { name: 'memory' } }, { store: { name: 'redis' } }];
+
+            const [entries, cacheOptions] = entry.prepare(cache, [{ name: 'john' }, undefined], {
+                ttl: (data, storeName) => storesTTL[storeName],
+                staleWhileRevalidate: 60,
+            });
+
+            expect(entries[0].__gcMeta__.expires).within(Date.now() + 299000, Date.now() + 300000);
+            expect(typeof entries[1]).equal('undefined');
+            expect(cacheOptions.ttl(null, 'memory')).equal(360);
+            expect(cacheOptions.ttl(null, 'redis')).equal(0);
+        });
+    });
 });